@@ -1,51 +1,92 @@
 const express = require("express");
 const cors = require("cors");
 const dbConnection = require("./db/dbConfig");
-const createTables = require("./db/dbSchema");
+const { pendingMigrations } = require("./db/migrator");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const { requestId, accessLog } = require("./middleware/requestLogger");
+const { requestMetrics } = require("./middleware/requestMetrics");
+const { logger } = require("./utils/logger");
 
+const healthRoutes = require("./routes/healthRoutes");
 const userRoutes = require("./routes/userRoutes");
 const questionRoutes = require("./routes/questionRoutes");
 const answerRoutes = require("./routes/answerRoute");
+const searchRoutes = require("./routes/searchRoutes");
+const voteRoutes = require("./routes/voteRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const commentRoutes = require("./routes/commentRoutes");
+const flagRoutes = require("./routes/flagRoutes");
+const revisionRoutes = require("./routes/revisionRoutes");
+const docsRoutes = require("./routes/docsRoutes");
 
 const app = express();
 const port = process.env.PORT || 5500;
 
+// Behind a reverse proxy (e.g. Render) req.ip must come from
+// X-Forwarded-For for per-IP rate limits; TRUST_PROXY is the number of proxies
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+
 // Middleware
-app.use(cors());
+app.use(requestId);
+// Probes and scrapes come every few seconds; keep them out of the access log
+// and the request metrics
+app.use(healthRoutes);
+app.use(accessLog);
+app.use(requestMetrics);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(express.json());
 
 // Routes
 app.use("/api/users", userRoutes);
 app.use("/api/question", questionRoutes);
 app.use("/api/answers", answerRoutes);
-
-// Endpoint to create tables
-app.get("/create-table", createTables);
+app.use("/api/search", searchRoutes);
+app.use("/api/votes", voteRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/flags", flagRoutes);
+app.use("/api/revisions", revisionRoutes);
+app.use("/api/docs", docsRoutes);
 
 // Root route
 app.get("/", (req, res) => {
   res.json({ message: "Welcome to Evangadi Forum backend" });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
+// 404 for unknown routes, then one JSON shape for every error
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 async function startServer() {
   try {
     // Test database connection
     await dbConnection.execute("select 'test'");
-    console.log("Database connection established");
+    logger.info("Database connection established");
+
+    // The schema is managed with npm run migrate, not at startup
+    const pending = await pendingMigrations(dbConnection);
+    if (pending.length) {
+      logger.warn("Pending migrations, run npm run migrate", { pending });
+    }
   } catch (error) {
-    console.log("Database connection failed:", error.message);
+    logger.error("Database connection failed", { err: error });
   } finally {
     // Always start the server to avoid Render killing the process
     app.listen(port, () => {
-      console.log(`Server listening on port ${port}`);
+      logger.info("Server listening", { port });
     });
   }
 }
 
-startServer();
+// Started by `npm start`; tests load the app without listening
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -1,10 +1,37 @@
 import axios from "axios";
+import { clearSession, loginPath, refreshSession } from "./session";
 
 const axiosInstance = axios.create({
   baseURL: import.meta.env.VITE_API_URL || "http://localhost:5500/api",
   timeout: 10000,
 });
 
+// Requests that must never trigger a refresh themselves
+const AUTH_ENDPOINTS = ["/users/login", "/users/refresh", "/users/logout"];
+
+// Called when the session cannot be refreshed; App replaces it with a
+// router-aware version
+let onSessionExpired = () => {
+  const { pathname, search } = window.location;
+  window.location.assign(loginPath(pathname + search));
+};
+
+export function setSessionExpiredHandler(handler) {
+  onSessionExpired = handler;
+}
+
+// A single refresh shared by every request that fails while it is running
+let refreshPromise = null;
+
+function refreshOnce() {
+  if (!refreshPromise) {
+    refreshPromise = refreshSession().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
 axiosInstance.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem("token");
@@ -18,4 +45,34 @@ axiosInstance.interceptors.request.use(
   }
 );
 
+// On 401, refresh the session once and replay the request. Requests failing
+// during a refresh wait for it instead of starting their own.
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !config ||
+      config._retry ||
+      AUTH_ENDPOINTS.some((path) => config.url?.startsWith(path))
+    ) {
+      return Promise.reject(error);
+    }
+
+    config._retry = true;
+    const token = await refreshOnce();
+
+    if (!token) {
+      clearSession();
+      onSessionExpired();
+      return Promise.reject(error);
+    }
+
+    config.headers.Authorization = `Bearer ${token}`;
+    return axiosInstance(config);
+  }
+);
+
 export default axiosInstance;
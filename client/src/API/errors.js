@@ -0,0 +1,13 @@
+// The API answers every failed request with
+//   { error: { code, message, details } }
+// (see utils/errors.js on the server for the list of codes).
+
+// The error body of a failed request, or null for network errors and the like
+export function apiError(error) {
+  return error?.response?.data?.error || null;
+}
+
+// The server's message for a failed request, or `fallback` when there is none
+export function errorMessage(error, fallback) {
+  return apiError(error)?.message || fallback;
+}
@@ -0,0 +1,73 @@
+import axios from "axios";
+
+// Access token + refresh token storage and the calls that manage them.
+// Plain axios is used (not axiosInstance) so these requests never go through
+// the auth interceptors.
+
+const baseURL = import.meta.env.VITE_API_URL || "http://localhost:5500/api";
+
+export function getRefreshToken() {
+  return localStorage.getItem("refreshToken");
+}
+
+export function saveSession({ token, refreshToken }) {
+  localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+}
+
+export function clearSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+}
+
+// Trade the refresh token for a new token pair. Returns the new access token,
+// or null (and clears the session) when the session is no longer valid.
+export async function refreshSession() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return null;
+
+  try {
+    const { data } = await axios.post(`${baseURL}/users/refresh`, {
+      refreshToken,
+    });
+    saveSession(data);
+    return data.token;
+  } catch (error) {
+    // Only a rejected token ends the session; keep it on network errors
+    if (error.response?.status === 401 || error.response?.status === 400) {
+      clearSession();
+    }
+    return null;
+  }
+}
+
+// Revoke the current session on the server and forget the tokens
+export async function logoutSession() {
+  const refreshToken = getRefreshToken();
+  clearSession();
+  if (!refreshToken) return;
+
+  try {
+    await axios.post(`${baseURL}/users/logout`, { refreshToken });
+  } catch (error) {
+    console.error("Logout error:", error.message);
+  }
+}
+
+// Login page URL that brings the user back to `destination` afterwards
+export function loginPath(destination) {
+  if (!destination || destination.startsWith("/users/login")) {
+    return "/users/login";
+  }
+  return `/users/login?redirect=${encodeURIComponent(destination)}`;
+}
+
+// Where to go after logging in, read from the ?redirect= query string. Only
+// paths inside the app are accepted.
+export function redirectTarget(search) {
+  const target = new URLSearchParams(search).get("redirect");
+  if (!target || !target.startsWith("/") || target.startsWith("//")) {
+    return "/home";
+  }
+  return target;
+}
@@ -1,7 +1,20 @@
 import { useContext, useState, useEffect } from "react";
 import { UserContext } from "./context/UserProvider";
-import { Route, Routes, Navigate, useNavigate } from "react-router-dom";
-import axiosInstance from "./API/axios";
+import {
+  Route,
+  Routes,
+  Navigate,
+  useLocation,
+  useNavigate,
+} from "react-router-dom";
+import axiosInstance, { setSessionExpiredHandler } from "./API/axios";
+import {
+  clearSession,
+  getRefreshToken,
+  loginPath,
+  redirectTarget,
+  refreshSession,
+} from "./API/session";
 import ProtectedRoute from "./context/ProtectedRoutes";
 import Header from "./components/Header/Header";
 import Footer from "./components/Footer/Footer";
@@ -14,8 +27,15 @@ import SignUp from "./pages/SignUp/SignUp";
 import { jwtDecode } from "jwt-decode";
 import HowItWorks from "./pages/HowItWorks/HowItWorks";
 import ForgetPassword from "./pages/ForgetPassword/ForgetPassword";
+import ResetPassword from "./pages/ResetPassword/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail/VerifyEmail";
 import EditQuestion from "./pages/EditQuestion/EditQuestion";
 import EditAnswer from "./pages/EditAnswer/EditAnswer";
+import SearchResults from "./pages/SearchResults/SearchResults";
+import TagQuestions from "./pages/TagQuestions/TagQuestions";
+import ModerationQueue from "./pages/ModerationQueue/ModerationQueue";
+import RecentlyDeleted from "./pages/RecentlyDeleted/RecentlyDeleted";
+import PostHistory from "./pages/PostHistory/PostHistory";
 
 function App() {
   // Access user state from context
@@ -23,7 +43,19 @@ function App() {
   const [loading, setLoading] = useState(true); // Shows loading state while checking authentication
   const [error, setError] = useState(null); // Stores any authentication error messages
   const token = localStorage.getItem("token"); // Get JWT token from localStorage
+  const refreshToken = getRefreshToken(); // Renews the session when the access token is gone
   const navigate = useNavigate(); // For programmatic navigation
+  const location = useLocation();
+
+  // When a session cannot be refreshed mid-use, log out and send the user to
+  // the login page, coming back to the current page afterwards
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      const { pathname, search } = window.location;
+      setUser(null);
+      navigate(loginPath(pathname + search), { replace: true });
+    });
+  }, [navigate, setUser]);
 
   // Function to check if the token is expired
   function isTokenExpired(token) {
@@ -39,10 +71,24 @@ function App() {
 
   // Function to check user authentication
   async function checkUser() {
-    if (!token || isTokenExpired(token)) {
-      // If no token or token expired, log the user out
-      localStorage.removeItem("token");
-      setUser(null);
+    let currentToken = token;
+    setError(null);
+
+    // Access tokens are short-lived; try to renew an expired one first
+    if (!currentToken || isTokenExpired(currentToken)) {
+      currentToken = await refreshSession();
+    }
+
+    if (!currentToken) {
+      if (getRefreshToken()) {
+        // The refresh failed without the server rejecting the token (network
+        // error, server down): keep the session and let the user retry
+        setError("Could not reach the server. Please try again.");
+      } else {
+        // No valid session left, log the user out
+        clearSession();
+        setUser(null);
+      }
       setLoading(false);
       return;
     }
@@ -51,37 +97,47 @@ function App() {
       // Verify the token with backend
       const { data } = await axiosInstance.get("/users/check", {
         headers: {
-          Authorization: `Bearer ${token}`,
+          Authorization: `Bearer ${currentToken}`,
         },
       });
 
       // Decode the token to extract user info
-      const decoded = jwtDecode(token);
+      const decoded = jwtDecode(currentToken);
       setUser({
         user_id: decoded.userid, // Map token field to context field
         user_name: decoded.username,
-        token: token,
+        reputation: data.reputation,
+        email_verified: data.email_verified,
+        role: data.role,
+        token: currentToken,
       });
     } catch (error) {
       console.error("Authentication error:", error.message);
-      // If any error occurs during check, remove token and log out
-      localStorage.removeItem("token");
-      setUser(null);
-      setError("Failed to authenticate. Please log in again.");
+      if (error.response?.status === 401) {
+        // The session was rejected (the interceptor already tried to refresh
+        // it), log out
+        clearSession();
+        setUser(null);
+      } else {
+        // Network errors and server errors say nothing about the session;
+        // keep it and let the user retry
+        setError("Could not reach the server. Please try again.");
+      }
     } finally {
       setLoading(false); // Done checking user
     }
   }
 
-  // Check authentication when the app loads or token changes
+  // Check authentication when the app loads or the tokens change. A refresh
+  // token alone is enough: checkUser renews the access token from it.
   useEffect(() => {
-    if (token) {
+    if (token || refreshToken) {
       checkUser();
     } else {
       setLoading(false);
       setUser(null); // Ensure user is null if no token
     }
-  }, [token]);
+  }, [token, refreshToken]);
 
   // Log when user context changes (for debugging)
   useEffect(() => {
@@ -99,6 +155,24 @@ function App() {
     );
   }
 
+  // The session could not be checked; it is kept, so retrying can restore it
+  if (error) {
+    return (
+      <div className="loader">
+        <span>{error}</span>
+        <button
+          type="button"
+          onClick={() => {
+            setLoading(true);
+            checkUser();
+          }}
+        >
+          Try again
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div>
       {/* Header is visible on all pages */}
@@ -114,7 +188,13 @@ function App() {
           />
           <Route
             path="/users/login"
-            element={token ? <Navigate to="/home" /> : <Login />}
+            element={
+              token ? (
+                <Navigate to={redirectTarget(location.search)} />
+              ) : (
+                <Login />
+              )
+            }
           />
           <Route
             path="/users/register"
@@ -124,6 +204,11 @@ function App() {
             path="/forget-password"
             element={token ? <Navigate to="/home" /> : <ForgetPassword />}
           />
+          <Route
+            path="/reset-password/:token"
+            element={token ? <Navigate to="/home" /> : <ResetPassword />}
+          />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
           <Route path="/how-it-works" element={<HowItWorks />} />
 
           {/* ----------------------- PROTECTED ROUTES ----------------------- */}
@@ -144,6 +229,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/search"
+            element={
+              <ProtectedRoute>
+                <SearchResults />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/tags/:tag"
+            element={
+              <ProtectedRoute>
+                <TagQuestions />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/ask"
             element={
@@ -152,6 +253,30 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/moderation"
+            element={
+              <ProtectedRoute>
+                <ModerationQueue />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/deleted"
+            element={
+              <ProtectedRoute>
+                <RecentlyDeleted />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/history/:post_type/:post_id"
+            element={
+              <ProtectedRoute>
+                <PostHistory />
+              </ProtectedRoute>
+            }
+          />
           {/* Edit question/answer pages */}
           <Route
             path="/edit-question/:question_id"
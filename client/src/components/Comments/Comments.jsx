@@ -0,0 +1,184 @@
+import React, { useContext, useState } from "react";
+import styles from "./Comments.module.css";
+import { UserContext } from "../../context/UserProvider";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import Reputation from "../Reputation/Reputation";
+import { isModerator } from "../../context/roles";
+import { schemas } from "../../utils/validation";
+
+const MAX_COMMENT_LENGTH = schemas.postComment.body.body.maxLength;
+
+// Collapsible comment thread shown under a question or an answer
+function Comments({ postType, postId, count = 0 }) {
+  const [user] = useContext(UserContext);
+  const [open, setOpen] = useState(false); // Thread expanded
+  const [comments, setComments] = useState([]); // Loaded comments
+  const [commentCount, setCommentCount] = useState(count); // Count shown while collapsed
+  const [loading, setLoading] = useState(false); // Loading comments
+  const [newComment, setNewComment] = useState(""); // Text of the comment being added
+  const [editingId, setEditingId] = useState(null); // Comment being edited
+  const [editText, setEditText] = useState(""); // Text of the comment being edited
+  const [error, setError] = useState(""); // Error message
+
+  // Load every comment on the post
+  const fetchComments = async () => {
+    setLoading(true);
+    try {
+      const { data } = await axiosInstance.get(
+        `/comments/${postType}/${postId}`
+      );
+      setComments(data.comments);
+      setCommentCount(data.comments.length);
+    } catch (err) {
+      console.error("Comments error:", err);
+      setError("Failed to load comments.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Expand (and load) or collapse the thread
+  const toggleOpen = () => {
+    if (!open) fetchComments();
+    setOpen(!open);
+    setError("");
+  };
+
+  // Post a new comment
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+
+    try {
+      await axiosInstance.post(`/comments/${postType}/${postId}`, {
+        body: newComment.trim(),
+      });
+      setNewComment("");
+      await fetchComments();
+    } catch (err) {
+      console.error("Post comment error:", err);
+      setError(errorMessage(err, "Failed to post comment."));
+    }
+  };
+
+  // Save an edited comment
+  const handleSaveEdit = async (comment_id) => {
+    if (!editText.trim()) return;
+
+    try {
+      await axiosInstance.put(`/comments/${comment_id}`, {
+        body: editText.trim(),
+      });
+      setEditingId(null);
+      await fetchComments();
+    } catch (err) {
+      console.error("Edit comment error:", err);
+      setError(errorMessage(err, "Failed to update comment."));
+    }
+  };
+
+  // Delete a comment
+  const handleDelete = async (comment_id) => {
+    if (!window.confirm("Delete this comment?")) return;
+
+    try {
+      await axiosInstance.delete(`/comments/${comment_id}`);
+      await fetchComments();
+    } catch (err) {
+      console.error("Delete comment error:", err);
+      setError(errorMessage(err, "Failed to delete comment."));
+    }
+  };
+
+  return (
+    <div className={styles.comments}>
+      <button className={styles.toggleBtn} onClick={toggleOpen}>
+        {open
+          ? "Hide comments"
+          : commentCount > 0
+          ? `Show ${commentCount} comment${commentCount !== 1 ? "s" : ""}`
+          : "Add a comment"}
+      </button>
+
+      {open && (
+        <div className={styles.thread}>
+          {loading && <p className={styles.muted}>Loading comments...</p>}
+          {error && <p className={styles.error}>{error}</p>}
+
+          {comments.map((comment) => (
+            <div key={comment.comment_id} className={styles.comment}>
+              {editingId === comment.comment_id ? (
+                <div className={styles.editRow}>
+                  <input
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    maxLength={MAX_COMMENT_LENGTH}
+                    className={styles.input}
+                  />
+                  <button
+                    className={styles.linkBtn}
+                    onClick={() => handleSaveEdit(comment.comment_id)}
+                  >
+                    Save
+                  </button>
+                  <button
+                    className={styles.linkBtn}
+                    onClick={() => setEditingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <p>
+                  {comment.body}{" "}
+                  <span className={styles.muted}>
+                    – {comment.user_name}
+                    <Reputation value={comment.user_reputation} />,{" "}
+                    {new Date(comment.createdAt).toLocaleDateString()}
+                    {comment.updatedAt && " (edited)"}
+                  </span>
+                  {(user?.user_id == comment.user_id || isModerator(user)) && (
+                    <>
+                      <button
+                        className={styles.linkBtn}
+                        onClick={() => {
+                          setEditingId(comment.comment_id);
+                          setEditText(comment.body);
+                        }}
+                      >
+                        edit
+                      </button>
+                      <button
+                        className={styles.linkBtn}
+                        onClick={() => handleDelete(comment.comment_id)}
+                      >
+                        delete
+                      </button>
+                    </>
+                  )}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {/* Add a comment */}
+          <form onSubmit={handleAdd} className={styles.editRow}>
+            <input
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              placeholder="Add a short comment..."
+              maxLength={MAX_COMMENT_LENGTH}
+              className={styles.input}
+            />
+            <button type="submit" className={styles.addBtn}>
+              Comment
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Comments;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import styles from "./FlagButton.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas } from "../../utils/validation";
+
+const REASONS = [
+  { value: "spam", label: "Spam" },
+  { value: "abuse", label: "Rude or abusive" },
+  { value: "off_topic", label: "Off topic" },
+  { value: "other", label: "Something else" },
+];
+
+// "flag" link that opens a small report form for a question, answer or user
+function FlagButton({ targetType, targetId, label = "flag" }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("spam");
+  const [details, setDetails] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await axiosInstance.post(`/flags/${targetType}/${targetId}`, {
+        reason,
+        details,
+      });
+      setDone(true);
+      setOpen(false);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to send the report."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (done) {
+    return <span className={styles.flagged}>flagged for review</span>;
+  }
+
+  return (
+    <span className={styles.flag}>
+      <button
+        type="button"
+        className={styles.linkBtn}
+        onClick={() => setOpen(!open)}
+      >
+        {label}
+      </button>
+
+      {open && (
+        <form className={styles.form} onSubmit={handleSubmit}>
+          <select
+            className={styles.select}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          >
+            {REASONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <textarea
+            className={styles.details}
+            placeholder="Anything a moderator should know (optional)"
+            maxLength={schemas.createFlag.body.details.maxLength}
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+          />
+          {error && <span className={styles.error}>{error}</span>}
+          <div className={styles.actions}>
+            <button type="submit" className={styles.submitBtn} disabled={busy}>
+              {busy ? "Sending..." : "Report"}
+            </button>
+            <button
+              type="button"
+              className={styles.linkBtn}
+              onClick={() => setOpen(false)}
+            >
+              cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </span>
+  );
+}
+
+export default FlagButton;
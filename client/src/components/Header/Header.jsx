@@ -4,6 +4,9 @@ import { UserContext } from "../../context/UserProvider";
 import styles from "./Header.module.css";
 import Logo from "../../assets/images/DarkLogo.png";
 import { FiMenu, FiX } from "react-icons/fi";
+import axiosInstance from "../../API/axios";
+import { clearSession, logoutSession } from "../../API/session";
+import { isModerator } from "../../context/roles";
 
 function Header() {
   const navigate = useNavigate();
@@ -12,8 +15,21 @@ function Header() {
   const [menuOpen, setMenuOpen] = useState(false);
   const token = localStorage.getItem("token");
 
-  const handleLogOut = () => {
-    localStorage.removeItem("token");
+  const handleLogOut = async () => {
+    await logoutSession(); // Revoke this session on the server
+    setUser(null);
+    navigate("/users/login");
+    setMenuOpen(false);
+  };
+
+  // Revoke every session of the user, on all devices
+  const handleLogOutEverywhere = async () => {
+    try {
+      await axiosInstance.post("/users/logout-all");
+    } catch (error) {
+      console.error("Logout everywhere error:", error.message);
+    }
+    clearSession();
     setUser(null);
     navigate("/users/login");
     setMenuOpen(false);
@@ -76,6 +92,19 @@ function Header() {
 
             {token ? (
               <>
+                {isModerator(user) && (
+                  <li>
+                    <Link
+                      to="/moderation"
+                      className={`${styles.navLink} ${
+                        location.pathname === "/moderation" ? styles.active : ""
+                      }`}
+                      onClick={closeMenu}
+                    >
+                      Moderation
+                    </Link>
+                  </li>
+                )}
                 <li>
                   <Link
                     to="/ask"
@@ -90,6 +119,15 @@ function Header() {
                     Log Out
                   </button>
                 </li>
+                <li>
+                  <button
+                    onClick={handleLogOutEverywhere}
+                    className={styles.logoutAllBtn}
+                    title="Log out on all devices"
+                  >
+                    Log Out Everywhere
+                  </button>
+                </li>
               </>
             ) : (
               <li className={styles.signInContainer}>
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useContext } from "react";
+import React, { useEffect, useState, useContext, useCallback } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { FaUserCircle } from "react-icons/fa";
 import { IoIosArrowDropright } from "react-icons/io";
@@ -9,6 +9,10 @@ import DOMPurify from "dompurify"; // To safely render HTML
 import styles from "./HomePage.module.css";
 import { ClipLoader } from "react-spinners";
 import axiosInstance from "../../API/axios"; // Custom axios instance
+import { errorMessage } from "../../API/errors";
+import Reputation from "../Reputation/Reputation";
+import VerifyEmailBanner from "../VerifyEmailBanner/VerifyEmailBanner";
+import { isModerator } from "../../context/roles";
 
 const HomePage = () => {
   const token = localStorage.getItem("token"); // Auth token
@@ -18,39 +22,70 @@ const HomePage = () => {
   const [error, setError] = useState(""); // Error state
   const [searchQuery, setSearchQuery] = useState(""); // Search input
   const [currentPage, setCurrentPage] = useState(1); // Pagination
+  const [totalPages, setTotalPages] = useState(0); // Total pages reported by the server
+  const [totalQuestions, setTotalQuestions] = useState(0); // Total matching questions
+  const [sort, setSort] = useState("newest"); // Sort order sent to the server
+  const [popularTags, setPopularTags] = useState([]); // Most used tags
+  const [solvedFilter, setSolvedFilter] = useState(""); // "", "true" or "false"
+  const [notice, setNotice] = useState(""); // Confirmation after a delete
   const questionsPerPage = 7; // Number of questions per page
   const navigate = useNavigate();
 
-  // Fetch all questions when component mounts
-  useEffect(() => {
-    const fetchQuestions = async () => {
-      try {
-        console.log("Fetching questions...");
-        const response = await axiosInstance.get("/question", {
-          headers: {
-            Authorization: `Bearer ${token}`, // Auth header
-          },
-        });
-        console.log("Questions data:", response.data);
-        setQuestions(response.data); // Save questions in context
-      } catch (err) {
-        console.error("API Error:", err);
-        setError(
-          err.response?.data?.msg ||
-            "Failed to load questions. Please try again."
-        );
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Fetch one page of questions from the server
+  const fetchQuestions = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await axiosInstance.get("/question", {
+        params: {
+          page: currentPage,
+          limit: questionsPerPage,
+          sort,
+          solved: solvedFilter || undefined,
+        },
+      });
+      setQuestions(response.data.questions); // Save current page in context
+      setTotalPages(response.data.totalPages);
+      setTotalQuestions(response.data.total);
+    } catch (err) {
+      console.error("API Error:", err);
+      setError(
+        errorMessage(err, "Failed to load questions. Please try again.")
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, sort, solvedFilter, setQuestions]);
 
+  // Fetch questions whenever the page, sort or filter changes
+  useEffect(() => {
     if (token) {
       fetchQuestions(); // Only fetch if token exists
     } else {
       setLoading(false);
       setError("No authentication token found");
     }
-  }, [token, setQuestions]);
+  }, [token, fetchQuestions]);
+
+  // Changing sort or filter starts again from the first page
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    setCurrentPage(1);
+  };
+
+  // Open the question list for a tag
+  const handleTagClick = (tag, e) => {
+    e.stopPropagation(); // Prevent parent click (navigation)
+    navigate(`/tags/${encodeURIComponent(tag)}`);
+  };
+
+  // Load the most used tags once
+  useEffect(() => {
+    axiosInstance
+      .get("/tags", { params: { sort: "popular", limit: 10 } })
+      .then((response) => setPopularTags(response.data.tags))
+      .catch((err) => console.error("Tags error:", err));
+  }, []);
 
   // Delete question function
   const handleDelete = async (question_id, e) => {
@@ -70,34 +105,26 @@ const HomePage = () => {
       await axiosInstance.delete(`/question/${question_id}`, {
         data: { user_id: user.user_id }, // Auth user ID sent in body
       });
-
-      // Remove question from local state after deletion
-      setQuestions((prevQuestions) =>
-        prevQuestions.filter((question) => question.question_id !== question_id)
+      setNotice(
+        'Question deleted. You can restore it from "Recently deleted".'
       );
+
+      // Reload the current page so it stays full after deletion
+      fetchQuestions();
     } catch (err) {
       console.error("Error deleting question:", err);
       setError("Failed to delete question. Please try again.");
     }
   };
 
-  // Filter questions by search query
-  const filteredQuestions = questions.filter(
-    (question) =>
-      question.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      question.question_description
-        ?.toLowerCase()
-        .includes(searchQuery.toLowerCase())
-  );
-
-  // Pagination logic
-  const indexOfLastQuestion = currentPage * questionsPerPage;
-  const indexOfFirstQuestion = indexOfLastQuestion - questionsPerPage;
-  const currentQuestions = filteredQuestions.slice(
-    indexOfFirstQuestion,
-    indexOfLastQuestion
-  );
-  const totalPages = Math.ceil(filteredQuestions.length / questionsPerPage);
+  // Run a full-text search on the search results page
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (query) {
+      navigate(`/search?q=${encodeURIComponent(query)}`);
+    }
+  };
 
   // Helper function to format date
   const formatDate = (dateString) => {
@@ -113,8 +140,13 @@ const HomePage = () => {
       {/* Header with welcome message and Ask Question button */}
       <header className={styles.homeHeader}>
         <div className={styles.welcomeUser}>
-          <h1>Welcome, {user?.user_name}!</h1>
+          <h1>
+            Welcome, {user?.user_name}! <Reputation value={user?.reputation} />
+          </h1>
           <p>Engage, Ask, and Share Knowledge</p>
+          <Link to="/deleted" className={styles.deletedLink}>
+            Recently deleted
+          </Link>
         </div>
         <button
           className={styles.askQuestionBtn}
@@ -124,15 +156,64 @@ const HomePage = () => {
         </button>
       </header>
 
-      {/* Search input */}
-      <div className={styles.searchContainer}>
+      <VerifyEmailBanner />
+
+      {notice && <p className={styles.notice}>{notice}</p>}
+
+      {/* Search input - supports "phrases", tag:name and user:name */}
+      <form className={styles.searchContainer} onSubmit={handleSearch}>
         <input
           type="text"
-          placeholder="Search questions..."
+          placeholder='Search questions... e.g. react "use effect" tag:hooks'
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           className={styles.searchInput}
         />
+      </form>
+
+      {/* Popular tags */}
+      {popularTags.length > 0 && (
+        <div className={styles.popularTags}>
+          {popularTags.map((tag) => (
+            <span
+              key={tag.tag_id}
+              className={styles.tag}
+              onClick={(e) => handleTagClick(tag.name, e)}
+            >
+              {tag.name} × {tag.question_count}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Sort and filter controls */}
+      <div className={styles.listControls}>
+        <span className={styles.resultCount}>
+          {totalQuestions} question{totalQuestions !== 1 ? "s" : ""}
+        </span>
+        <select
+          value={solvedFilter}
+          onChange={(e) => {
+            setSolvedFilter(e.target.value);
+            setCurrentPage(1);
+          }}
+          className={styles.sortSelect}
+        >
+          <option value="">All questions</option>
+          <option value="true">Solved</option>
+          <option value="false">Unsolved</option>
+        </select>
+        <select
+          value={sort}
+          onChange={handleSortChange}
+          className={styles.sortSelect}
+        >
+          <option value="newest">Newest</option>
+          <option value="oldest">Oldest</option>
+          <option value="top">Top voted</option>
+          <option value="most_answered">Most answered</option>
+          <option value="unanswered">Unanswered</option>
+        </select>
       </div>
 
       {/* Loading state */}
@@ -147,29 +228,23 @@ const HomePage = () => {
       {error && <p className={styles.errorMessage}>{error}</p>}
 
       {/* Empty state */}
-      {!loading && !error && filteredQuestions.length === 0 && (
+      {!loading && !error && questions.length === 0 && (
         <div className={styles.emptyState}>
           <h3>No questions found</h3>
-          <p>
-            {searchQuery
-              ? `No results for "${searchQuery}"`
-              : "Be the first to ask a question!"}
-          </p>
-          {!searchQuery && (
-            <button
-              className={styles.askQuestionBtn}
-              onClick={() => navigate("/ask")}
-            >
-              Ask First Question
-            </button>
-          )}
+          <p>Be the first to ask a question!</p>
+          <button
+            className={styles.askQuestionBtn}
+            onClick={() => navigate("/ask")}
+          >
+            Ask First Question
+          </button>
         </div>
       )}
 
       {/* Questions list */}
-      {!loading && !error && filteredQuestions.length > 0 && (
+      {!loading && !error && questions.length > 0 && (
         <div className={styles.questionsList}>
-          {currentQuestions.map((question) => (
+          {questions.map((question) => (
             <div
               key={question.question_id}
               className={styles.cardWrapper}
@@ -180,11 +255,15 @@ const HomePage = () => {
                 <div className={styles.profileSection}>
                   <FaUserCircle className={styles.profileIcon} />
                   <span className={styles.username}>{question?.user_name}</span>
+                  <Reputation value={question?.user_reputation} />
                 </div>
 
                 {/* Question content */}
                 <div className={styles.content}>
                   <h3 className={styles.contentTitle}>
+                    {question.is_solved && (
+                      <span className={styles.solvedBadge}>✓ Solved</span>
+                    )}
                     <Link to={`/questions/${question.question_id}`}>
                       {question.title}
                     </Link>
@@ -202,18 +281,30 @@ const HomePage = () => {
 
                   {/* Meta information: tags and date */}
                   <div className={styles.meta}>
-                    {question.tag && (
+                    {question.tags?.length > 0 && (
                       <div className={styles.tags}>
-                        <span className={styles.tag}>{question.tag}</span>
+                        {question.tags.map((tag) => (
+                          <span
+                            key={tag}
+                            className={styles.tag}
+                            onClick={(e) => handleTagClick(tag, e)}
+                          >
+                            {tag}
+                          </span>
+                        ))}
                       </div>
                     )}
                     <div className={styles.date}>
-                      Asked {formatDate(question.createdAt)}
+                      {question.score} vote{question.score !== 1 ? "s" : ""} ·{" "}
+                      {question.answer_count} answer
+                      {question.answer_count !== 1 ? "s" : ""} · Asked{" "}
+                      {formatDate(question.createdAt)}
                     </div>
                   </div>
 
-                  {/* Action buttons for owner */}
-                  {user?.user_id === question.user_id && (
+                  {/* Action buttons for the owner and moderators */}
+                  {(user?.user_id === question.user_id ||
+                    isModerator(user)) && (
                     <div className={styles.actionButtons}>
                       <button
                         className={styles.deleteBtn}
@@ -239,7 +330,7 @@ const HomePage = () => {
       )}
 
       {/* Pagination controls */}
-      {!loading && filteredQuestions.length > 0 && (
+      {!loading && totalPages > 0 && (
         <div className={styles.pagination}>
           <button
             onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
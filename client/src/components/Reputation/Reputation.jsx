@@ -0,0 +1,15 @@
+import React from "react";
+import styles from "./Reputation.module.css";
+
+// Reputation points shown next to a user name
+function Reputation({ value }) {
+  if (value === undefined || value === null) return null;
+
+  return (
+    <span className={styles.reputation} title="Reputation">
+      {Number(value).toLocaleString()}
+    </span>
+  );
+}
+
+export default Reputation;
@@ -0,0 +1,49 @@
+import React, { useContext, useState } from "react";
+import styles from "./VerifyEmailBanner.module.css";
+import { UserContext } from "../../context/UserProvider";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+
+// Reminds logged-in users with an unverified email address to verify it
+function VerifyEmailBanner() {
+  const [user] = useContext(UserContext);
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState("");
+
+  // email_verified is only known after /users/check has answered
+  if (!user || user.email_verified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    setStatus("");
+    try {
+      const { data } = await axiosInstance.post("/users/resend-verification");
+      setStatus(data.msg);
+    } catch (err) {
+      setStatus(
+        errorMessage(err, "Could not send the email. Try again later.")
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className={styles.banner}>
+      <span>
+        Please verify your email address. Check your inbox for the verification
+        link.
+      </span>
+      <button
+        className={styles.resendBtn}
+        onClick={handleResend}
+        disabled={sending}
+      >
+        {sending ? "Sending..." : "Resend email"}
+      </button>
+      {status && <span className={styles.status}>{status}</span>}
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
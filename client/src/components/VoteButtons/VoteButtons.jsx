@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { FaCaretUp, FaCaretDown } from "react-icons/fa";
+import styles from "./VoteButtons.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+
+// Up/down vote control for a question or an answer
+function VoteButtons({ postType, postId, score = 0, myVote = null, isOwner }) {
+  const [currentScore, setCurrentScore] = useState(score); // Score shown to the user
+  const [vote, setVote] = useState(myVote); // Current user's vote: 1, -1 or null
+  const [busy, setBusy] = useState(false); // Prevent double clicks while saving
+
+  // Clicking the active arrow again retracts the vote
+  const handleVote = async (value, e) => {
+    e.stopPropagation(); // Prevent parent click (navigation)
+    if (busy || isOwner) return;
+
+    setBusy(true);
+    try {
+      const url = `/votes/${postType}/${postId}`;
+      const { data } =
+        vote === value
+          ? await axiosInstance.delete(url)
+          : await axiosInstance.put(url, { value });
+
+      setCurrentScore(data.score);
+      setVote(data.my_vote);
+    } catch (error) {
+      console.error("Vote error:", error);
+      alert(errorMessage(error, "Failed to record your vote."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={styles.voteContainer}>
+      <button
+        className={`${styles.voteBtn} ${vote === 1 ? styles.activeUp : ""}`}
+        onClick={(e) => handleVote(1, e)}
+        disabled={busy || isOwner}
+        title={isOwner ? "You can't vote on your own post" : "Upvote"}
+      >
+        <FaCaretUp />
+      </button>
+      <span className={styles.score}>{currentScore}</span>
+      <button
+        className={`${styles.voteBtn} ${vote === -1 ? styles.activeDown : ""}`}
+        onClick={(e) => handleVote(-1, e)}
+        disabled={busy || isOwner}
+        title={isOwner ? "You can't vote on your own post" : "Downvote"}
+      >
+        <FaCaretDown />
+      </button>
+    </div>
+  );
+}
+
+export default VoteButtons;
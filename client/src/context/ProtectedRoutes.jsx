@@ -1,13 +1,17 @@
 import React, { useContext } from "react";
 import { UserContext } from "./UserProvider";
-import { Navigate } from "react-router-dom";
+import { Navigate, useLocation } from "react-router-dom";
+import { loginPath } from "../API/session";
 
 const ProtectedRoute = ({ children }) => {
   const [user] = useContext(UserContext);
+  const location = useLocation();
   
-  // Simple check - if no user, redirect to login
+  // Simple check - if no user, redirect to login and come back afterwards
   if (!user) {
-    return <Navigate to="/users/login" replace />;
+    return (
+      <Navigate to={loginPath(location.pathname + location.search)} replace />
+    );
   }
   
   return children;
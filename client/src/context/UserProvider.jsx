@@ -26,6 +26,7 @@ export function UserProvider({ children }) {
           const userData = {
             user_id: decoded.userid, // User ID from token
             user_name: decoded.username, // Username from token
+            role: decoded.role, // user | moderator | admin
             token: token, // Keep token for API requests
           };
 
@@ -59,6 +60,9 @@ export function UserProvider({ children }) {
     setUser({
       user_id: newUser.user_id || newUser.userid,
       user_name: newUser.user_name || newUser.username,
+      reputation: newUser.reputation,
+      email_verified: newUser.email_verified,
+      role: newUser.role,
       token: newUser.token,
     });
   };
@@ -0,0 +1,15 @@
+// Mirrors the server's role order (utils/policy.js)
+const ROLES = ["user", "moderator", "admin"];
+
+// True when the user's role is at least `minRole`
+export function hasRole(user, minRole) {
+  return (
+    Boolean(user) &&
+    ROLES.indexOf(user.role || "user") >= ROLES.indexOf(minRole)
+  );
+}
+
+// Moderators (and admins) may edit or delete any post
+export function isModerator(user) {
+  return hasRole(user, "moderator");
+}
@@ -3,12 +3,16 @@ import axios from "axios";
 import { Link } from "react-router-dom";
 import styles from "./AskQuestion.module.css";
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas, formErrors } from "../../utils/validation";
+
+const rules = schemas.createQuestion.body;
 
 function AskQuestion() {
   // State for form inputs
   const [title, setTitle] = useState(""); // Question title
   const [description, setDescription] = useState(""); // Detailed question description
-  const [tag, setTag] = useState(""); // Category/tag
+  const [tags, setTags] = useState(""); // Comma separated tags
   const [success, setSuccess] = useState(false); // Success message state
   const [error, setError] = useState(""); // Error message state
   const [loading, setLoading] = useState(false); // Loading state while submitting
@@ -16,6 +20,23 @@ function AskQuestion() {
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Split the comma separated input; the server normalizes each tag
+    const tagList = tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+
+    const errors = formErrors(rules, {
+      title,
+      question_description: description,
+      tags: tagList,
+    });
+    if (errors) {
+      setError(Object.values(errors)[0]);
+      return;
+    }
+
     setError(""); // Reset previous error
     setSuccess(false); // Reset success
     setLoading(true); // Set loading while sending request
@@ -29,7 +50,7 @@ function AskQuestion() {
         {
           title,
           question_description: description,
-          tag: tag || "general", // Default to 'general' if no tag provided
+          tags: tagList,
         },
         {
           headers: {
@@ -44,13 +65,12 @@ function AskQuestion() {
       setSuccess(true);
       setTitle("");
       setDescription("");
-      setTag("");
+      setTags("");
       setTimeout(() => setSuccess(false), 5000); // Hide success message after 5s
     } catch (err) {
       console.error(err);
       setError(
-        err.response?.data?.message ||
-          "❌ Failed to post your question. Please try again."
+        errorMessage(err, "❌ Failed to post your question. Please try again.")
       );
     } finally {
       setLoading(false); // Stop loading regardless of outcome
@@ -124,21 +144,22 @@ function AskQuestion() {
         <section className={styles.formSection}>
           <div className={styles.formCard}>
             <form onSubmit={handleSubmit} className={styles.form}>
-              {/* Tag input */}
+              {/* Tags input */}
               <div className={styles.formGroup}>
-                <label htmlFor="tag" className={styles.label}>
-                  Category/Tag
+                <label htmlFor="tags" className={styles.label}>
+                  Tags
                 </label>
                 <input
                   type="text"
-                  id="tag"
-                  value={tag}
-                  onChange={(e) => setTag(e.target.value)}
+                  id="tags"
+                  value={tags}
+                  onChange={(e) => setTags(e.target.value)}
                   placeholder="e.g., javascript, react, nodejs"
                   className={styles.input}
                 />
                 <small className={styles.helpText}>
-                  Add tags to help others find your question
+                  Add up to {rules.tags.maxItems} comma-separated tags to help
+                  others find your question
                 </small>
               </div>
 
@@ -154,6 +175,7 @@ function AskQuestion() {
                   onChange={(e) => setTitle(e.target.value)}
                   placeholder="e.g., How to handle async operations in React?"
                   className={styles.input}
+                  maxLength={rules.title.maxLength}
                   required
                 />
                 <small className={styles.helpText}>
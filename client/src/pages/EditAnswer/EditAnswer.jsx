@@ -1,36 +1,46 @@
-import React, { useState, useEffect, useContext, useRef } from "react";
-import { useParams, useNavigate } from "react-router-dom";
-import axios from "axios"; // ✅ Use axios directly
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate, Link } from "react-router-dom";
 import styles from "./EditAnswer.module.css";
-import { UserContext } from "../../context/UserProvider";
-import DOMPurify from "dompurify";
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas, formErrors } from "../../utils/validation";
+
+const rules = schemas.editAnswer.body;
 
 function EditAnswer() {
   const { answer_id } = useParams(); // Get answer ID from URL
   const navigate = useNavigate(); // Navigate after update or discard
-  const [user] = useContext(UserContext); // Current logged-in user
   const token = localStorage.getItem("token"); // JWT token
 
   const [loading, setLoading] = useState(true); // Loading state while fetching answer
+  const [saving, setSaving] = useState(false); // Saving state while updating answer
   const [error, setError] = useState(""); // Error messages
+  const [blocked, setBlocked] = useState(""); // Reason the form can't be shown (404/403)
   const [answer, setAnswer] = useState(""); // Current answer content
-  const [originalAnswer, setOriginalAnswer] = useState(""); // Original answer to allow discard
+  const [editSummary, setEditSummary] = useState(""); // Shown in the revision history
+  const [answerData, setAnswerData] = useState(null); // Answer with its question context
 
   // Fetch answer data on mount
   useEffect(() => {
     const fetchAnswer = async () => {
       try {
         const response = await axiosInstance.get(`/answers/${answer_id}`);
-        console.log("Answer data:", response.data);
 
-        // Set answer content and original content
+        // Only the owner (or a moderator) is allowed to edit the answer
+        if (!response.data.can_edit) {
+          setBlocked("You can only edit your own answers.");
+        }
+
+        setAnswerData(response.data);
         setAnswer(response.data.answer || "");
-        setOriginalAnswer(response.data.answer || "");
-        setLoading(false);
       } catch (err) {
         console.error("Fetch error:", err);
-        setError("Failed to load answer data.");
+        if (err.response?.status === 404) {
+          setBlocked("This answer doesn't exist or has been removed.");
+        } else {
+          setError("Failed to load answer data.");
+        }
+      } finally {
         setLoading(false);
       }
     };
@@ -45,28 +55,43 @@ function EditAnswer() {
     e.preventDefault();
 
     // Basic validation
-    if (!answer.trim()) {
-      setError("Answer cannot be empty");
+    const errors = formErrors(rules, { answer, edit_summary: editSummary });
+    if (errors) {
+      setError(Object.values(errors)[0]);
       return;
     }
 
+    setSaving(true);
+    setError("");
+
     try {
       // Update answer on backend
       await axiosInstance.put(`/answers/${answer_id}`, {
         answer: answer.trim(),
+        edit_summary: editSummary,
       });
 
-      navigate(-1); // Go back to previous page after successful update
+      // Go back to the question after successful update
+      navigate(`/questions/${answerData.question_id}`);
     } catch (err) {
       console.error("Update error:", err);
-      setError("Failed to update answer. Please try again.");
+      if (err.response?.status === 403) {
+        setBlocked("You can only edit your own answers.");
+      } else if (err.response?.status === 404) {
+        setBlocked("This answer doesn't exist or has been removed.");
+      } else {
+        setError(
+          errorMessage(err, "Failed to update answer. Please try again.")
+        );
+      }
+    } finally {
+      setSaving(false);
     }
   };
 
-  // Discard changes and reset to original answer
+  // Discard changes and go back to previous page
   const handleDiscard = () => {
-    setAnswer(originalAnswer); // Reset content to original
-    navigate(-1); // Go back to previous page
+    navigate(-1);
   };
 
   // Show loading while fetching
@@ -78,9 +103,38 @@ function EditAnswer() {
     );
   }
 
+  // Answer missing or not owned by the current user
+  if (blocked) {
+    return (
+      <div className={styles.container}>
+        <h2>Can't edit this answer</h2>
+        <div className={styles.errorMessage}>{blocked}</div>
+        <Link
+          to={
+            answerData ? `/questions/${answerData.question_id}` : "/home"
+          }
+          className={styles.backLink}
+        >
+          ← Back to {answerData ? "the question" : "Questions"}
+        </Link>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.container}>
       <h2>Edit Your Answer</h2>
+
+      {/* Parent question context */}
+      {answerData && (
+        <div className={styles.questionContext}>
+          <span className={styles.label}>Answering:</span>
+          <Link to={`/questions/${answerData.question_id}`}>
+            {answerData.question_title}
+          </Link>
+        </div>
+      )}
+
       {error && <div className={styles.errorMessage}>{error}</div>}
 
       <form onSubmit={handleSubmit} className={styles.form}>
@@ -96,14 +150,35 @@ function EditAnswer() {
             className={styles.textarea}
             placeholder="Edit your answer here..."
             rows="12"
+            maxLength={rules.answer.maxLength}
             required
           />
         </div>
 
+        {/* Edit summary shown in the revision history */}
+        <div className={styles.formGroup}>
+          <label htmlFor="edit_summary" className={styles.label}>
+            Edit Summary (Optional)
+          </label>
+          <input
+            id="edit_summary"
+            type="text"
+            value={editSummary}
+            onChange={(e) => setEditSummary(e.target.value)}
+            maxLength={rules.edit_summary.maxLength}
+            className={styles.input}
+            placeholder="Briefly describe your changes (e.g. fixed typos)"
+          />
+        </div>
+
         {/* Action buttons */}
         <div className={styles.buttonGroup}>
-          <button type="submit" className={styles.submitButton}>
-            Save Changes
+          <button
+            type="submit"
+            className={styles.submitButton}
+            disabled={saving}
+          >
+            {saving ? "Saving..." : "Save Changes"}
           </button>
           <button
             type="button"
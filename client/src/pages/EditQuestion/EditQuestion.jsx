@@ -9,6 +9,10 @@ import DOMPurify from "dompurify";
 import "quill/dist/quill.snow.css";
 import Quill from "quill";
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas, registerRules } from "../../utils/validation";
+
+const rules = schemas.updateQuestion.body;
 const EditQuestion = () => {
   const { question_id } = useParams(); // Get question ID from URL
   const navigate = useNavigate(); // Navigate after update or discard
@@ -59,7 +63,7 @@ const EditQuestion = () => {
         // Populate form fields with fetched data
         reset({
           title: questionData.title,
-          tag: questionData.tag || "",
+          tags: (questionData.tags || []).join(", "),
         });
 
         setLoading(false);
@@ -115,11 +119,17 @@ const EditQuestion = () => {
       const updatedQuestion = {
         title: data.title,
         question_description: editorContent,
-        tag: data.tag || "",
+        tags: (data.tags || "")
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
       };
 
       // Send PUT request to update question
-      await axiosInstance.put(`/question/${question_id}`, updatedQuestion);
+      await axiosInstance.put(`/question/${question_id}`, {
+        ...updatedQuestion,
+        edit_summary: data.edit_summary,
+      });
 
       // Update question in local context
       setQuestions((prev) =>
@@ -132,7 +142,9 @@ const EditQuestion = () => {
       navigate(`/questions/${question_id}`);
     } catch (err) {
       console.error("Update error:", err);
-      setError("Failed to update question. Please try again.");
+      setError(
+        errorMessage(err, "Failed to update question. Please try again.")
+      );
     }
   };
 
@@ -168,13 +180,8 @@ const EditQuestion = () => {
           <input
             id="title"
             type="text"
-            {...register("title", {
-              required: "Title is required",
-              minLength: {
-                value: 10,
-                message: "Title should be at least 10 characters long",
-              },
-            })}
+            {...register("title", registerRules(rules.title))}
+            maxLength={rules.title.maxLength}
             className={styles.input}
             placeholder="Enter a clear and descriptive title..."
           />
@@ -204,19 +211,40 @@ const EditQuestion = () => {
 
         {/* Tags */}
         <div className={styles.formGroup}>
-          <label htmlFor="tag" className={styles.label}>
+          <label htmlFor="tags" className={styles.label}>
             Tags (Optional)
           </label>
           <input
-            id="tag"
+            id="tags"
             type="text"
-            {...register("tag")}
+            {...register("tags", registerRules(rules.tags))}
             className={styles.input}
             placeholder="e.g., javascript, react, nodejs"
           />
           <small className={styles.helpText}>
-            Add tags to help others find your question (comma-separated)
+            Add up to {rules.tags.maxItems} tags to help others find your
+            question (comma-separated)
           </small>
+          {errors.tags && (
+            <p className={styles.errorText}>{errors.tags.message}</p>
+          )}
+        </div>
+
+        {/* Edit summary shown in the revision history */}
+        <div className={styles.formGroup}>
+          <label htmlFor="edit_summary" className={styles.label}>
+            Edit Summary (Optional)
+          </label>
+          <input
+            id="edit_summary"
+            type="text"
+            {...register("edit_summary", registerRules(rules.edit_summary))}
+            className={styles.input}
+            placeholder="Briefly describe your changes (e.g. fixed typos)"
+          />
+          {errors.edit_summary && (
+            <p className={styles.errorText}>{errors.edit_summary.message}</p>
+          )}
         </div>
 
         {/* Action buttons */}
@@ -4,6 +4,8 @@ import { Link } from "react-router-dom";
 import { ClipLoader } from "react-spinners";
 import axios from "axios"; // Try using axios directly for testing
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas, fieldError } from "../../utils/validation";
 function ForgetPassword() {
   const emailDom = useRef(null); // Ref to directly access the email input DOM element
   const [error, setError] = useState(""); // Stores error messages
@@ -16,8 +18,9 @@ function ForgetPassword() {
     const emailValue = emailDom.current.value.trim(); // Get email value from input
 
     // Basic validation
-    if (!emailValue) {
-      setError("An email is required");
+    const invalid = fieldError(schemas.forgetPassword.body.email, emailValue);
+    if (invalid) {
+      setError(invalid);
       return;
     }
 
@@ -48,8 +51,7 @@ function ForgetPassword() {
         setError("Endpoint not found. Check backend routes.");
       } else {
         setError(
-          err.response?.data?.msg ||
-            "Something went wrong. Check console for details."
+          errorMessage(err, "Something went wrong. Check console for details.")
         );
       }
     } finally {
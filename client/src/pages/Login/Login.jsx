@@ -1,14 +1,18 @@
 import React, { useState, useContext } from "react";
 import styles from "./Login.module.css";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { UserContext } from "../../context/UserProvider";
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { redirectTarget, saveSession } from "../../API/session";
 import { ClipLoader } from "react-spinners";
 import { jwtDecode } from "jwt-decode";
+import { schemas, formErrors } from "../../utils/validation";
 
 
 function Login() {
   const navigate = useNavigate(); // Navigation after successful login
+  const location = useLocation(); // ?redirect= holds the page to return to
   const [user, setUser] = useContext(UserContext); // Global user state
   const [formData, setFormData] = useState({
     email: "",
@@ -35,8 +39,9 @@ function Login() {
     setLoading(true);
 
     // Basic validation
-    if (!formData.email || !formData.password) {
-      setError("Both fields are required!");
+    const errors = formErrors(schemas.login.body, formData);
+    if (errors) {
+      setError(Object.values(errors)[0]);
       setLoading(false);
       return;
     }
@@ -47,7 +52,7 @@ function Login() {
       setSuccessMessage(response.data.msg);
 
       const token = response.data.token;
-      localStorage.setItem("token", token); // Save token to localStorage
+      saveSession(response.data); // Save access and refresh tokens
 
       // Decode JWT to get user info
       const decoded = jwtDecode(token);
@@ -57,20 +62,19 @@ function Login() {
       setUser({
         user_id: decoded.userid, // Map to user_id
         user_name: decoded.username, // Map to user_name
+        role: decoded.role,
         token: token,
       });
 
       // Small delay to ensure context updates before navigation
       setTimeout(() => {
-        navigate("/home");
+        navigate(redirectTarget(location.search));
       }, 100);
     } catch (error) {
       console.error("Login error:", error);
 
       // Show server-provided message or generic error
-      setError(
-        error.response?.data?.msg || "Something went wrong! Please try again."
-      );
+      setError(errorMessage(error, "Something went wrong! Please try again."));
     }
     setLoading(false); // Always stop loading
   };
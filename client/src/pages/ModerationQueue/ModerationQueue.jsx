@@ -0,0 +1,301 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ClipLoader } from "react-spinners";
+import styles from "./ModerationQueue.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { UserContext } from "../../context/UserProvider";
+import { isModerator } from "../../context/roles";
+
+const STATUSES = [
+  { value: "open", label: "Open" },
+  { value: "actioned", label: "Actioned" },
+  { value: "dismissed", label: "Dismissed" },
+];
+
+const REASON_LABELS = {
+  spam: "Spam",
+  abuse: "Rude or abusive",
+  off_topic: "Off topic",
+  other: "Something else",
+};
+
+// Short plain-text preview of (HTML) post content
+const preview = (html = "", length = 300) => {
+  const text = html
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+};
+
+// What the flag points at, with a link to it when it still exists
+function FlagContent({ flag }) {
+  const { content } = flag;
+
+  if (!content) {
+    return (
+      <p className={styles.muted}>The flagged content has been removed.</p>
+    );
+  }
+
+  if (flag.target_type === "question") {
+    return (
+      <div className={styles.content}>
+        <Link to={`/questions/${content.question_id}`}>{content.title}</Link>
+        <p>{preview(content.question_description)}</p>
+      </div>
+    );
+  }
+
+  if (flag.target_type === "answer") {
+    return (
+      <div className={styles.content}>
+        <span className={styles.muted}>Answer on </span>
+        <Link to={`/questions/${content.question_id}`}>
+          {content.question_title}
+        </Link>
+        <p>{preview(content.answer)}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.content}>
+      <span className={styles.muted}>User </span>
+      <strong>{content.user_name}</strong>
+    </div>
+  );
+}
+
+const ModerationQueue = () => {
+  const [user] = useContext(UserContext);
+  const [status, setStatus] = useState("open"); // Which part of the queue
+  const [flags, setFlags] = useState([]); // Flags on the current page
+  const [currentPage, setCurrentPage] = useState(1); // Pagination
+  const [totalPages, setTotalPages] = useState(0); // Total pages reported by the server
+  const [suspendDays, setSuspendDays] = useState({}); // flag_id -> days input
+  const [busyId, setBusyId] = useState(null); // Flag being resolved
+  const [loading, setLoading] = useState(true); // Loading state
+  const [error, setError] = useState(""); // Error state
+  const moderator = isModerator(user);
+
+  const fetchFlags = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { data } = await axiosInstance.get("/flags", {
+        params: { status, page: currentPage, limit: 20 },
+      });
+      setFlags(data.flags);
+      setTotalPages(data.totalPages);
+    } catch (err) {
+      console.error("Moderation queue error:", err);
+      setError(errorMessage(err, "Failed to load the moderation queue."));
+    } finally {
+      setLoading(false);
+    }
+  }, [status, currentPage]);
+
+  useEffect(() => {
+    if (moderator) fetchFlags();
+  }, [moderator, fetchFlags]);
+
+  const handleResolve = async (flag, action) => {
+    if (
+      action === "delete" &&
+      !window.confirm(`Delete this ${flag.target_type}? This can't be undone.`)
+    ) {
+      return;
+    }
+
+    setBusyId(flag.flag_id);
+    try {
+      await axiosInstance.put(`/flags/${flag.flag_id}/resolve`, {
+        action,
+        days: Number(suspendDays[flag.flag_id] || 7),
+      });
+      // Other open flags on the same target are closed too, so reload
+      await fetchFlags();
+    } catch (err) {
+      alert(errorMessage(err, "Failed to resolve the flag."));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  if (!moderator) {
+    return (
+      <div className={styles.container}>
+        <p className={styles.errorMessage}>
+          Only moderators can see the moderation queue.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <Link to="/home" className={styles.backLink}>
+          ← Back to Questions
+        </Link>
+        <h1>Moderation queue</h1>
+        <div className={styles.tabs}>
+          {STATUSES.map((option) => (
+            <button
+              key={option.value}
+              className={`${styles.tab} ${
+                status === option.value ? styles.activeTab : ""
+              }`}
+              onClick={() => {
+                setStatus(option.value);
+                setCurrentPage(1);
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className={styles.loadingContainer}>
+          <ClipLoader size={30} color="#36d7b7" />
+          <span>Loading flags...</span>
+        </div>
+      ) : error ? (
+        <p className={styles.errorMessage}>{error}</p>
+      ) : flags.length === 0 ? (
+        <p className={styles.empty}>Nothing here. 🎉</p>
+      ) : (
+        <ul className={styles.flagList}>
+          {flags.map((flag) => (
+            <li key={flag.flag_id} className={styles.flagItem}>
+              <div className={styles.flagMeta}>
+                <span className={styles.reason}>
+                  {REASON_LABELS[flag.reason]}
+                </span>
+                <span className={styles.muted}>
+                  {flag.target_type} · reported by {flag.reporter_name} on{" "}
+                  {formatDate(flag.createdAt)}
+                  {flag.open_flag_count > 1 &&
+                    ` · ${flag.open_flag_count} open reports`}
+                </span>
+              </div>
+
+              {flag.details && (
+                <blockquote className={styles.details}>
+                  {flag.details}
+                </blockquote>
+              )}
+
+              <FlagContent flag={flag} />
+
+              {flag.author && (
+                <p className={styles.muted}>
+                  Author: {flag.author.user_name} ({flag.author.role}) ·{" "}
+                  {flag.author.warning_count} warning
+                  {flag.author.warning_count !== 1 ? "s" : ""}
+                  {flag.author.suspended_until &&
+                    new Date(flag.author.suspended_until) > new Date() &&
+                    ` · suspended until ${formatDate(
+                      flag.author.suspended_until
+                    )}`}
+                </p>
+              )}
+
+              {flag.status === "open" ? (
+                <div className={styles.actions}>
+                  <button
+                    className={styles.dismissBtn}
+                    disabled={busyId === flag.flag_id}
+                    onClick={() => handleResolve(flag, "dismiss")}
+                  >
+                    Dismiss
+                  </button>
+                  {flag.target_type !== "user" && flag.content && (
+                    <button
+                      className={styles.deleteBtn}
+                      disabled={busyId === flag.flag_id}
+                      onClick={() => handleResolve(flag, "delete")}
+                    >
+                      Delete {flag.target_type}
+                    </button>
+                  )}
+                  {flag.author && (
+                    <>
+                      <button
+                        className={styles.warnBtn}
+                        disabled={busyId === flag.flag_id}
+                        onClick={() => handleResolve(flag, "warn")}
+                      >
+                        Warn author
+                      </button>
+                      <input
+                        type="number"
+                        min="1"
+                        max="365"
+                        className={styles.daysInput}
+                        value={suspendDays[flag.flag_id] ?? 7}
+                        onChange={(e) =>
+                          setSuspendDays({
+                            ...suspendDays,
+                            [flag.flag_id]: e.target.value,
+                          })
+                        }
+                        title="Suspension length in days"
+                      />
+                      <button
+                        className={styles.suspendBtn}
+                        disabled={busyId === flag.flag_id}
+                        onClick={() => handleResolve(flag, "suspend")}
+                      >
+                        Suspend (days)
+                      </button>
+                    </>
+                  )}
+                </div>
+              ) : (
+                <p className={styles.muted}>
+                  Resolved ({flag.resolution}) by {flag.resolved_by_name} on{" "}
+                  {formatDate(flag.resolved_at)}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Pagination controls */}
+      {!loading && !error && totalPages > 1 && (
+        <div className={styles.pagination}>
+          <button
+            onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+            disabled={currentPage === 1}
+          >
+            Previous
+          </button>
+          <span>
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage((prev) => prev + 1)}
+            disabled={currentPage >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ClipLoader } from "react-spinners";
+import styles from "./PostHistory.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+
+// Render a word diff: removed text struck through, added text highlighted
+const Diff = ({ parts }) => (
+  <span className={styles.diff}>
+    {parts.map((part, index) =>
+      part.type === "insert" ? (
+        <ins key={index} className={styles.inserted}>
+          {part.value}
+        </ins>
+      ) : part.type === "delete" ? (
+        <del key={index} className={styles.deleted}>
+          {part.value}
+        </del>
+      ) : (
+        <span key={index}>{part.value}</span>
+      )
+    )}
+  </span>
+);
+
+// Revision history of a question or an answer
+const PostHistory = () => {
+  const { post_type, post_id } = useParams();
+  const navigate = useNavigate();
+  const [revisions, setRevisions] = useState([]); // Revisions on the current page
+  const [currentPage, setCurrentPage] = useState(1); // Pagination
+  const [totalPages, setTotalPages] = useState(0); // Total pages reported by the server
+  const [canRollback, setCanRollback] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null); // Revision number being restored
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const { data } = await axiosInstance.get(
+        `/revisions/${post_type}/${post_id}`,
+        { params: { page: currentPage, limit: 10 } }
+      );
+      setRevisions(data.revisions);
+      setTotalPages(data.totalPages);
+      setCanRollback(data.can_rollback);
+      setError("");
+    } catch (err) {
+      console.error("Revision history error:", err);
+      setError(
+        err.response?.status === 404
+          ? "This post doesn't exist or has been removed."
+          : "Failed to load the revision history."
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [post_type, post_id, currentPage]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  const handleRollback = async (revisionNumber) => {
+    if (
+      !window.confirm(
+        `Restore revision ${revisionNumber}? This is saved as a new revision.`
+      )
+    ) {
+      return;
+    }
+
+    setRollingBack(revisionNumber);
+    try {
+      await axiosInstance.post(
+        `/revisions/${post_type}/${post_id}/${revisionNumber}/rollback`
+      );
+      // The rollback is the newest revision, on the first page
+      if (currentPage === 1) {
+        await fetchRevisions();
+      } else {
+        setCurrentPage(1);
+      }
+    } catch (err) {
+      alert(errorMessage(err, "Failed to roll back. Try again."));
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className={styles.loadingContainer}>
+        <ClipLoader size={30} color="#36d7b7" />
+        <span>Loading history...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <button className={styles.backLink} onClick={() => navigate(-1)}>
+        ← Back
+      </button>
+      <h1>
+        {post_type === "question" ? "Question" : "Answer"} revision history
+      </h1>
+
+      {error ? (
+        <p className={styles.errorMessage}>{error}</p>
+      ) : revisions.length === 0 ? (
+        <p className={styles.empty}>This post has never been edited.</p>
+      ) : (
+        <ol className={styles.list}>
+          {revisions.map((revision, index) => {
+            const isCurrent = currentPage === 1 && index === 0;
+            return (
+              <li key={revision.revision_id} className={styles.revision}>
+                <div className={styles.revisionHeader}>
+                  <div>
+                    <strong>Revision {revision.revision_number}</strong>
+                    {isCurrent && (
+                      <span className={styles.current}>current</span>
+                    )}
+                    <p className={styles.muted}>
+                      {revision.revision_number === 1 ? "Posted" : "Edited"} by{" "}
+                      {revision.editor_name} on{" "}
+                      {new Date(revision.createdAt).toLocaleString()}
+                    </p>
+                    {revision.summary && (
+                      <p className={styles.summary}>“{revision.summary}”</p>
+                    )}
+                  </div>
+                  {canRollback && !isCurrent && (
+                    <button
+                      className={styles.rollbackBtn}
+                      disabled={rollingBack !== null}
+                      onClick={() => handleRollback(revision.revision_number)}
+                    >
+                      {rollingBack === revision.revision_number
+                        ? "Restoring..."
+                        : "Roll back to this"}
+                    </button>
+                  )}
+                </div>
+
+                {revision.changes.title && (
+                  <h3 className={styles.title}>
+                    <Diff parts={revision.changes.title} />
+                  </h3>
+                )}
+
+                {revision.changes.tags &&
+                  (revision.changes.tags.added.length > 0 ||
+                    revision.changes.tags.removed.length > 0) && (
+                    <div className={styles.tags}>
+                      {revision.changes.tags.removed.map((tag) => (
+                        <del key={tag} className={styles.deleted}>
+                          {tag}
+                        </del>
+                      ))}
+                      {revision.changes.tags.added.map((tag) => (
+                        <ins key={tag} className={styles.inserted}>
+                          {tag}
+                        </ins>
+                      ))}
+                    </div>
+                  )}
+
+                <div className={styles.body}>
+                  <Diff parts={revision.changes.body} />
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {/* Pagination controls */}
+      {!error && totalPages > 1 && (
+        <div className={styles.pagination}>
+          <button
+            onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+            disabled={currentPage === 1}
+          >
+            Previous
+          </button>
+          <span>
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage((prev) => prev + 1)}
+            disabled={currentPage >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostHistory;
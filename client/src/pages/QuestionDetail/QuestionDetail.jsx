@@ -1,4 +1,4 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useCallback } from "react";
 import { useParams, Link, useNavigate } from "react-router-dom";
 import { UserContext } from "../../context/UserProvider";
 import { QuestionContext } from "../../context/QuestionProvider";
@@ -8,6 +8,15 @@ import { FaUserCircle } from "react-icons/fa";
 import { ClipLoader } from "react-spinners";
 import DOMPurify from "dompurify";
 import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import VoteButtons from "../../components/VoteButtons/VoteButtons";
+import Comments from "../../components/Comments/Comments";
+import Reputation from "../../components/Reputation/Reputation";
+import { isModerator } from "../../context/roles";
+import FlagButton from "../../components/FlagButton/FlagButton";
+import { schemas, fieldError } from "../../utils/validation";
+
+const answerRule = schemas.postAnswer.body.answer;
 
 const QuestionDetail = () => {
   // Get question ID from the URL (dynamic route)
@@ -20,7 +29,12 @@ const QuestionDetail = () => {
   const { questions, setQuestions } = useContext(QuestionContext);
 
   // Local state
-  const [answers, setAnswers] = useState([]); // All answers for this question
+  const [questionData, setQuestionData] = useState(null); // Question fetched for this page
+  const [answers, setAnswers] = useState([]); // Loaded answers for this question
+  const [answerSort, setAnswerSort] = useState("oldest"); // Answer sort order
+  const [answerPage, setAnswerPage] = useState(1); // Last loaded page of answers
+  const [totalAnswers, setTotalAnswers] = useState(0); // Total answers on the server
+  const [hasMoreAnswers, setHasMoreAnswers] = useState(false); // More pages to load
   const [newAnswer, setNewAnswer] = useState(""); // Input for new answer
   const [loading, setLoading] = useState(true); // Loading state for question/answers
   const [answerLoading, setAnswerLoading] = useState(false); // Loading state for posting an answer
@@ -40,12 +54,30 @@ const QuestionDetail = () => {
   console.log("🔍 DEBUG - Question ID:", question_id);
   console.log("🔍 DEBUG - All Questions:", questions);
 
+  // Fetch one page of answers for this question
+  const fetchAnswers = useCallback(
+    async (pageNumber = 1) => {
+      const { data } = await axiosInstance.get(
+        `/answers/question/${question_id}`,
+        { params: { page: pageNumber, limit: 10, sort: answerSort } }
+      );
+
+      // First page replaces the list, later pages are appended
+      setAnswers((prev) =>
+        pageNumber === 1 ? data.answers : [...prev, ...data.answers]
+      );
+      setAnswerPage(pageNumber);
+      setTotalAnswers(data.total);
+      setHasMoreAnswers(pageNumber < data.totalPages);
+    },
+    [question_id, answerSort]
+  );
+
   // Fetch question and answers from API
   useEffect(() => {
     const fetchQuestionAndAnswers = async () => {
       try {
         setLoading(true);
-        const token = localStorage.getItem("token"); // Auth token if needed
 
         // Fetch question details from backend
         const questionResponse = await axiosInstance.get(
@@ -53,22 +85,18 @@ const QuestionDetail = () => {
         );
         console.log("🔍 DEBUG - Question Data:", questionResponse.data);
 
-        // Add question to global context if not already there
-        if (!questions.find((q) => q.question_id == question_id)) {
-          setQuestions((prev) => [...prev, questionResponse.data]);
-        }
+        // Keep the full question (score, current user's vote) locally
+        setQuestionData(questionResponse.data);
 
-        // Fetch all answers
-        const answersResponse = await axiosInstance.get("/answers/");
-
-        // Filter answers for this specific question
-        const questionAnswers =
-          answersResponse.data.answers?.filter(
-            (answer) => answer.question_id == question_id
-          ) || [];
-        console.log("🔍 DEBUG - Filtered Answers:", questionAnswers);
+        // Add question to global context if not already there
+        setQuestions((prev) =>
+          prev.find((q) => q.question_id == question_id)
+            ? prev
+            : [...prev, questionResponse.data]
+        );
 
-        setAnswers(questionAnswers); // Update local answers state
+        // Fetch the first page of answers for this question only
+        await fetchAnswers(1);
       } catch (error) {
         console.error("Error fetching data:", error);
       } finally {
@@ -79,13 +107,23 @@ const QuestionDetail = () => {
     if (isUserStable) {
       fetchQuestionAndAnswers();
     }
-  }, [question_id, setQuestions, questions, isUserStable]);
+  }, [question_id, setQuestions, isUserStable, fetchAnswers]);
+
+  // Load the next page of answers
+  const handleLoadMoreAnswers = async () => {
+    try {
+      await fetchAnswers(answerPage + 1);
+    } catch (error) {
+      console.error("Error loading more answers:", error);
+    }
+  };
 
-  // Get the current question from context
-  const question = questions.find((q) => q.question_id == question_id);
+  // Get the current question, preferring the freshly fetched copy
+  const question =
+    questionData || questions.find((q) => q.question_id == question_id);
 
-  // Check if current user can edit the question
-  const canEditQuestion = () => {
+  // Check if current user owns the question
+  const isQuestionOwner = () => {
     if (!user || !question) return false;
     const userId = user.user_id || user.userid;
     const questionUserId = question.user_id;
@@ -100,8 +138,8 @@ const QuestionDetail = () => {
     return userId == questionUserId;
   };
 
-  // Check if current user can edit a specific answer
-  const canEditAnswer = (answerUserId) => {
+  // Check if current user owns a specific answer
+  const isAnswerOwner = (answerUserId) => {
     if (!user) return false;
     const userId = user.user_id || user.userid;
 
@@ -115,12 +153,16 @@ const QuestionDetail = () => {
     return userId == answerUserId;
   };
 
+  // Moderators can edit and delete any post
+  const moderator = isModerator(user);
+
   // Submit a new answer
   const handleSubmitAnswer = async (e) => {
     e.preventDefault();
 
-    if (!newAnswer.trim()) {
-      alert("Please write an answer before submitting.");
+    const invalid = fieldError(answerRule, newAnswer);
+    if (invalid) {
+      alert(invalid);
       return;
     }
 
@@ -133,23 +175,45 @@ const QuestionDetail = () => {
 
       if (response.status === 201) {
         // Refresh answers after posting
-        const answersResponse = await axiosInstance.get("/answers/");
-        const questionAnswers =
-          answersResponse.data.answers?.filter(
-            (answer) => answer.question_id == question_id
-          ) || [];
-        setAnswers(questionAnswers);
+        await fetchAnswers(1);
         setNewAnswer(""); // Clear input
         alert("Answer posted successfully!");
       }
     } catch (error) {
       console.error("Error posting answer:", error);
-      alert("Failed to post answer. Please try again.");
+      alert(errorMessage(error, "Failed to post answer. Please try again."));
     } finally {
       setAnswerLoading(false);
     }
   };
 
+  // Accept an answer, or un-accept it if it is already accepted (question owner only)
+  const handleToggleAccept = async (answer) => {
+    try {
+      const { data } = answer.is_accepted
+        ? await axiosInstance.delete(`/question/${question_id}/accept`)
+        : await axiosInstance.put(`/question/${question_id}/accept`, {
+            answer_id: answer.answer_id,
+          });
+
+      setQuestionData((prev) => ({
+        ...prev,
+        accepted_answer_id: data.accepted_answer_id,
+      }));
+
+      // Reload so the accepted answer is pinned at the top
+      await fetchAnswers(1);
+    } catch (error) {
+      console.error("Error accepting answer:", error);
+      alert(
+        errorMessage(
+          error,
+          "Failed to update the accepted answer. Please try again."
+        )
+      );
+    }
+  };
+
   // Delete an existing answer
   const handleDeleteAnswer = async (answer_id, e) => {
     e.stopPropagation(); // Prevent parent click events
@@ -160,11 +224,14 @@ const QuestionDetail = () => {
     if (!confirmDelete) return;
 
     try {
-      await axiosInstance.delete(`/answers/${answer_id}`);
+      const { data } = await axiosInstance.delete(`/answers/${answer_id}`);
       setAnswers((prev) =>
         prev.filter((answer) => answer.answer_id !== answer_id)
       );
-      alert("Answer deleted successfully!");
+      setTotalAnswers((prev) => prev - 1);
+      alert(
+        `Answer deleted. You can restore it from "Recently deleted" within ${data.restore_window_days} days.`
+      );
     } catch (error) {
       console.error("Error deleting answer:", error);
       alert("Failed to delete answer. Please try again.");
@@ -205,12 +272,20 @@ const QuestionDetail = () => {
       </div>
 
       {/* Question Card */}
-      <div className={styles.questionCard}>
+      <div className={`${styles.questionCard} ${styles.votedPost}`}>
+        <VoteButtons
+          key={question.question_id}
+          postType="question"
+          postId={question.question_id}
+          score={question.score}
+          myVote={question.my_vote}
+          isOwner={isQuestionOwner()}
+        />
         <div className={styles.cardBody}>
           <div className={styles.questionHeader}>
             <h4 className={styles.cardTitle}>Question</h4>
-            {/* Edit button visible only if user owns the question */}
-            {canEditQuestion() && (
+            {/* Edit button visible to the owner and to moderators */}
+            {(isQuestionOwner() || moderator) && (
               <button
                 className={styles.editBtn}
                 onClick={() => navigate(`/edit-question/${question_id}`)}
@@ -228,27 +303,75 @@ const QuestionDetail = () => {
           />
           <div className={styles.questionMeta}>
             <span className={styles.author}>
-              Asked by: {question.user_name}
+              Asked by: {question.user_name}{" "}
+              <Reputation value={question.user_reputation} />
+              {!isQuestionOwner() && (
+                <FlagButton
+                  targetType="user"
+                  targetId={question.user_id}
+                  label="report user"
+                />
+              )}
             </span>
             <span className={styles.date}>
               {new Date(question.createdAt).toLocaleDateString()}
+              {/* Links to the revision history */}
+              {question.edited_at && (
+                <Link
+                  to={`/history/question/${question.question_id}`}
+                  className={styles.editedLink}
+                >
+                  edited {new Date(question.edited_at).toLocaleDateString()}
+                </Link>
+              )}
             </span>
+            {!isQuestionOwner() && (
+              <FlagButton
+                targetType="question"
+                targetId={question.question_id}
+              />
+            )}
           </div>
-          {question.tag && (
+          {question.tags?.length > 0 && (
             <div className={styles.tags}>
-              <span className={styles.tag}>{question.tag}</span>
+              {question.tags.map((tag) => (
+                <Link
+                  key={tag}
+                  to={`/tags/${encodeURIComponent(tag)}`}
+                  className={styles.tag}
+                >
+                  {tag}
+                </Link>
+              ))}
             </div>
           )}
+          <Comments
+            key={question.question_id}
+            postType="question"
+            postId={question.question_id}
+            count={question.comment_count}
+          />
         </div>
       </div>
 
       {/* Answers Section */}
       <div className={styles.answersCard}>
         <div className={styles.cardBody}>
-          <h4 className={styles.cardTitle}>
-            {answers.length} Answer{answers.length !== 1 ? "s" : ""} From The
-            Community
-          </h4>
+          <div className={styles.questionHeader}>
+            <h4 className={styles.cardTitle}>
+              {totalAnswers} Answer{totalAnswers !== 1 ? "s" : ""} From The
+              Community
+            </h4>
+            <select
+              value={answerSort}
+              onChange={(e) => setAnswerSort(e.target.value)}
+              className={styles.sortSelect}
+            >
+              <option value="oldest">Oldest first</option>
+              <option value="newest">Newest first</option>
+              <option value="top">Top</option>
+            </select>
+          </div>
         </div>
       </div>
 
@@ -263,12 +386,28 @@ const QuestionDetail = () => {
       ) : (
         // Render each answer
         answers.map((answer, index) => (
-          <div className={styles.answerCard} key={answer.answer_id || index}>
+          <div
+            className={`${styles.answerCard} ${
+              answer.is_accepted ? styles.acceptedAnswer : ""
+            }`}
+            key={answer.answer_id || index}
+          >
+            {answer.is_accepted && (
+              <span className={styles.acceptedBadge}>✓ Accepted answer</span>
+            )}
             <div className={styles.answerBody}>
               <div className={styles.userInfo}>
+                <VoteButtons
+                  postType="answer"
+                  postId={answer.answer_id}
+                  score={answer.score}
+                  myVote={answer.my_vote}
+                  isOwner={isAnswerOwner(answer.user_id)}
+                />
                 <div className={styles.userIconDiv}>
                   <FaUserCircle size={35} className={styles.profileIcon} />
                   <p className={styles.user_name}>{answer.user_name}</p>
+                  <Reputation value={answer.user_reputation} />
                 </div>
                 <div className={styles.answerContent}>
                   <p>{answer.answer}</p>
@@ -276,9 +415,9 @@ const QuestionDetail = () => {
               </div>
             </div>
 
-            {/* Edit/Delete buttons visible only to the answer owner */}
+            {/* Edit/Delete buttons visible to the answer owner and moderators */}
             <div className={styles.btnContainer}>
-              {canEditAnswer(answer.user_id) && (
+              {(isAnswerOwner(answer.user_id) || moderator) && (
                 <div className={styles.actionButtons}>
                   <button
                     className={styles.editBtn}
@@ -297,14 +436,49 @@ const QuestionDetail = () => {
             </div>
 
             <div className={styles.answerMeta}>
+              {/* Only the question owner can accept an answer */}
+              {isQuestionOwner() && (
+                <button
+                  className={styles.acceptBtn}
+                  onClick={() => handleToggleAccept(answer)}
+                >
+                  {answer.is_accepted ? "Un-accept" : "✓ Accept answer"}
+                </button>
+              )}
               <span className={styles.answerDate}>
                 Answered on {new Date(answer.createdAt).toLocaleDateString()}
+                {answer.edited_at && (
+                  <Link
+                    to={`/history/answer/${answer.answer_id}`}
+                    className={styles.editedLink}
+                  >
+                    edited {new Date(answer.edited_at).toLocaleDateString()}
+                  </Link>
+                )}
               </span>
+              {!isAnswerOwner(answer.user_id) && (
+                <FlagButton targetType="answer" targetId={answer.answer_id} />
+              )}
             </div>
+            <Comments
+              postType="answer"
+              postId={answer.answer_id}
+              count={answer.comment_count}
+            />
           </div>
         ))
       )}
 
+      {/* Load the next page of answers */}
+      {hasMoreAnswers && (
+        <button
+          className={styles.loadMoreBtn}
+          onClick={handleLoadMoreAnswers}
+        >
+          Load more answers
+        </button>
+      )}
+
       {/* Form to post a new answer */}
       <div className={styles.answerFormCard}>
         <h4 className={styles.cardTitle}>Your Answer</h4>
@@ -316,6 +490,7 @@ const QuestionDetail = () => {
               placeholder="Write your answer here..."
               className={styles.answerTextarea}
               rows="6"
+              maxLength={answerRule.maxLength}
               required
             />
           </div>
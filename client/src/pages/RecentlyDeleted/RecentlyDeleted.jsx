@@ -0,0 +1,174 @@
+import React, { useCallback, useContext, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { ClipLoader } from "react-spinners";
+import styles from "./RecentlyDeleted.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { UserContext } from "../../context/UserProvider";
+import { isModerator } from "../../context/roles";
+
+// Deleted questions/answers that can still be restored
+const RecentlyDeleted = () => {
+  const [user] = useContext(UserContext);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [windowDays, setWindowDays] = useState(null); // Restore window from the server
+  const [showAll, setShowAll] = useState(false); // Moderators: everyone's posts
+  const [busyKey, setBusyKey] = useState(null); // Post being restored
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchDeleted = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { data } = await axiosInstance.get("/question/deleted", {
+        params: showAll ? { all: true } : {},
+      });
+      setQuestions(data.questions);
+      setAnswers(data.answers);
+      setWindowDays(data.restore_window_days);
+    } catch (err) {
+      console.error("Recently deleted error:", err);
+      setError("Failed to load deleted posts. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [showAll]);
+
+  useEffect(() => {
+    fetchDeleted();
+  }, [fetchDeleted]);
+
+  const handleRestore = async (type, id) => {
+    const path = type === "question" ? `/question/${id}` : `/answers/${id}`;
+    setBusyKey(`${type}-${id}`);
+    try {
+      await axiosInstance.post(`${path}/restore`);
+      await fetchDeleted();
+    } catch (err) {
+      alert(errorMessage(err, "Failed to restore. Try again."));
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  // "deleted on <date>" plus who deleted it when it wasn't the author
+  const deletedNote = (post) =>
+    `Deleted ${formatDate(post.deletedAt)}${
+      post.deletedBy !== post.user_id && post.deleted_by_name
+        ? ` by ${post.deleted_by_name}`
+        : ""
+    }`;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <Link to="/home" className={styles.backLink}>
+          ← Back to Questions
+        </Link>
+        <h1>Recently deleted</h1>
+        {windowDays && (
+          <p className={styles.muted}>
+            Deleted posts can be restored for {windowDays} days, after which
+            they are removed for good.
+          </p>
+        )}
+        {isModerator(user) && (
+          <label className={styles.allToggle}>
+            <input
+              type="checkbox"
+              checked={showAll}
+              onChange={(e) => setShowAll(e.target.checked)}
+            />
+            Show posts from all users
+          </label>
+        )}
+      </div>
+
+      {loading ? (
+        <div className={styles.loadingContainer}>
+          <ClipLoader size={30} color="#36d7b7" />
+          <span>Loading...</span>
+        </div>
+      ) : error ? (
+        <p className={styles.errorMessage}>{error}</p>
+      ) : questions.length === 0 && answers.length === 0 ? (
+        <p className={styles.empty}>Nothing to restore.</p>
+      ) : (
+        <>
+          {questions.length > 0 && (
+            <section>
+              <h2>Questions</h2>
+              <ul className={styles.list}>
+                {questions.map((question) => (
+                  <li key={question.question_id} className={styles.item}>
+                    <div>
+                      <strong>{question.title}</strong>
+                      <p className={styles.muted}>
+                        {showAll && `${question.user_name} · `}
+                        {deletedNote(question)}
+                      </p>
+                    </div>
+                    <button
+                      className={styles.restoreBtn}
+                      disabled={busyKey === `question-${question.question_id}`}
+                      onClick={() =>
+                        handleRestore("question", question.question_id)
+                      }
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {answers.length > 0 && (
+            <section>
+              <h2>Answers</h2>
+              <ul className={styles.list}>
+                {answers.map((answer) => (
+                  <li key={answer.answer_id} className={styles.item}>
+                    <div>
+                      <p>{answer.answer}</p>
+                      <p className={styles.muted}>
+                        {showAll && `${answer.user_name} · `}
+                        On “{answer.question_title}” · {deletedNote(answer)}
+                      </p>
+                    </div>
+                    <button
+                      className={styles.restoreBtn}
+                      disabled={
+                        answer.question_deleted ||
+                        busyKey === `answer-${answer.answer_id}`
+                      }
+                      title={
+                        answer.question_deleted
+                          ? "Restore the question first"
+                          : undefined
+                      }
+                      onClick={() => handleRestore("answer", answer.answer_id)}
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecentlyDeleted;
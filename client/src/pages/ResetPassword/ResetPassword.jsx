@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from "react";
+import styles from "./ResetPassword.module.css";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { ClipLoader } from "react-spinners";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { schemas, fieldError } from "../../utils/validation";
+
+function ResetPassword() {
+  const { token } = useParams(); // Reset token from the emailed link
+  const navigate = useNavigate();
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [checking, setChecking] = useState(true); // Validating the link
+  const [linkError, setLinkError] = useState(""); // Invalid or expired link
+  const [error, setError] = useState(""); // Form errors
+  const [success, setSuccess] = useState(""); // Success message
+  const [loading, setLoading] = useState(false); // Submit in progress
+
+  // Check the link before showing the form
+  useEffect(() => {
+    let cancelled = false;
+
+    axiosInstance
+      .get(`/users/reset-password/${token}`)
+      .catch((err) => {
+        if (!cancelled) {
+          setLinkError(
+            errorMessage(err, "This reset link is invalid or has expired")
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setChecking(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+
+    const invalid = fieldError(schemas.resetPassword.body.password, password);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.post(
+        `/users/reset-password/${token}`,
+        { password }
+      );
+      setSuccess(response.data.msg);
+      setPassword("");
+      setConfirmPassword("");
+
+      // Send the user to the login page after a short pause
+      setTimeout(() => navigate("/users/login"), 2000);
+    } catch (err) {
+      setError(errorMessage(err, "Something went wrong. Please try again."));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <section className={styles.container}>
+      <div className={styles.card}>
+        <h3>Choose a new password</h3>
+
+        {checking ? (
+          <div className={styles.loading}>
+            <ClipLoader color="#2563eb" size={20} />
+            <span>Checking your link...</span>
+          </div>
+        ) : linkError ? (
+          <>
+            <div className={styles.error}>
+              <strong>Error:</strong> {linkError}
+            </div>
+            <Link to="/forget-password" className={styles.link}>
+              Request a new reset link
+            </Link>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <input
+              type="password"
+              placeholder="New password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={error ? styles.inputError : styles.input}
+              disabled={loading || !!success}
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className={error ? styles.inputError : styles.input}
+              disabled={loading || !!success}
+            />
+
+            {error && (
+              <div className={styles.error}>
+                <strong>Error:</strong> {error}
+              </div>
+            )}
+
+            {success && (
+              <div className={styles.success}>
+                <strong>Success:</strong> {success}
+              </div>
+            )}
+
+            <button
+              className={styles.button}
+              type="submit"
+              disabled={loading || !!success}
+            >
+              {loading ? (
+                <div className={styles.loading}>
+                  <ClipLoader color="#fff" size={12} />
+                  <span>Saving...</span>
+                </div>
+              ) : (
+                "Reset password"
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.linkContainer}>
+          <Link to="/users/login" className={styles.link}>
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ResetPassword;
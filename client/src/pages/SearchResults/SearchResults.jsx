@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { FaUserCircle } from "react-icons/fa";
+import { ClipLoader } from "react-spinners";
+import DOMPurify from "dompurify"; // To safely render highlighted snippets
+import styles from "./SearchResults.module.css";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import Reputation from "../../components/Reputation/Reputation";
+
+// Only the <mark> tags added by the server are allowed in snippets
+const sanitizeSnippet = (html) =>
+  DOMPurify.sanitize(html || "", { ALLOWED_TAGS: ["mark"] });
+
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get("q") || ""; // Search query from URL
+  const currentPage = parseInt(searchParams.get("page"), 10) || 1;
+  const [input, setInput] = useState(query); // Search box value
+  const [results, setResults] = useState([]); // Search results
+  const [total, setTotal] = useState(0); // Total matches
+  const [totalPages, setTotalPages] = useState(0); // Total result pages
+  const [loading, setLoading] = useState(false); // Loading state
+  const [error, setError] = useState(""); // Error state
+  const navigate = useNavigate();
+
+  // Keep the search box in sync when the URL changes
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  // Fetch results whenever the query or page changes
+  useEffect(() => {
+    const fetchResults = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const { data } = await axiosInstance.get("/search", {
+          params: { q: query, page: currentPage, limit: 10 },
+        });
+        setResults(data.results);
+        setTotal(data.total);
+        setTotalPages(data.totalPages);
+      } catch (err) {
+        console.error("Search error:", err);
+        setResults([]);
+        setTotal(0);
+        setTotalPages(0);
+        setError(errorMessage(err, "Search failed. Please try again."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (query) {
+      fetchResults();
+    }
+  }, [query, currentPage]);
+
+  // Submit a new search
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = input.trim();
+    if (trimmed) {
+      setSearchParams({ q: trimmed });
+    }
+  };
+
+  // Move to another page of results
+  const goToPage = (page) => {
+    setSearchParams({ q: query, page: String(page) });
+  };
+
+  // Helper function to format date
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <Link to="/home" className={styles.backLink}>
+          ← Back to Questions
+        </Link>
+        <h1>Search</h1>
+      </div>
+
+      {/* Search box */}
+      <form onSubmit={handleSubmit} className={styles.searchForm}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder='e.g. react "use effect" tag:hooks user:abdi'
+          className={styles.searchInput}
+        />
+        <button type="submit" className={styles.searchButton}>
+          Search
+        </button>
+      </form>
+      <p className={styles.hint}>
+        Use "quotes" for exact phrases, <code>-word</code> to leave a word out,{" "}
+        <code>tag:name</code> to filter by tag and <code>user:name</code> to
+        filter by author.
+      </p>
+
+      {/* Loading state */}
+      {loading && (
+        <div className={styles.loadingContainer}>
+          <ClipLoader size={40} color="#f48024" />
+          <p>Searching...</p>
+        </div>
+      )}
+
+      {/* Error message */}
+      {error && <p className={styles.errorMessage}>{error}</p>}
+
+      {!loading && !error && query && (
+        <p className={styles.resultCount}>
+          {total} result{total !== 1 ? "s" : ""} for "{query}"
+        </p>
+      )}
+
+      {/* Results list */}
+      {!loading && !error && (
+        <div className={styles.resultsList}>
+          {results.map((result) => (
+            <div
+              key={result.question_id}
+              className={styles.resultCard}
+              onClick={() => navigate(`/questions/${result.question_id}`)}
+            >
+              <h3
+                className={styles.resultTitle}
+                dangerouslySetInnerHTML={{
+                  __html: sanitizeSnippet(result.title_highlighted),
+                }}
+              />
+              <p
+                className={styles.snippet}
+                dangerouslySetInnerHTML={{
+                  __html: sanitizeSnippet(result.snippet),
+                }}
+              />
+              {result.answer_snippet && (
+                <p className={styles.answerSnippet}>
+                  <span className={styles.answerLabel}>Answer: </span>
+                  <span
+                    dangerouslySetInnerHTML={{
+                      __html: sanitizeSnippet(result.answer_snippet),
+                    }}
+                  />
+                </p>
+              )}
+              <div className={styles.meta}>
+                <span className={styles.author}>
+                  <FaUserCircle /> {result.user_name}
+                  <Reputation value={result.user_reputation} />
+                </span>
+                {result.tags.map((tag) => (
+                  <span key={tag} className={styles.tag}>
+                    {tag}
+                  </span>
+                ))}
+                <span>
+                  {result.answer_count} answer
+                  {result.answer_count !== 1 ? "s" : ""}
+                </span>
+                <span>Asked {formatDate(result.createdAt)}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination controls */}
+      {!loading && totalPages > 1 && (
+        <div className={styles.pagination}>
+          <button
+            onClick={() => goToPage(currentPage - 1)}
+            disabled={currentPage === 1}
+          >
+            Previous
+          </button>
+          <span>
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => goToPage(currentPage + 1)}
+            disabled={currentPage >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
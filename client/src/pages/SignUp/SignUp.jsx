@@ -1,11 +1,16 @@
 import { useState, useContext } from "react";
 import axios from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { saveSession } from "../../API/session";
 import { toast } from "react-toastify";
 import { Link, useNavigate } from "react-router-dom";
 import { UserContext } from "../../context/UserProvider";
 import { jwtDecode } from "jwt-decode";
 import styles from "./SignUp.module.css";
 import { Eye, EyeOff } from "lucide-react";
+import { schemas, fieldError, formErrors } from "../../utils/validation";
+
+const rules = schemas.register.body;
 
 const Register = () => {
   // State for form fields
@@ -30,11 +35,7 @@ const Register = () => {
 
     // Real-time password validation
     if (name === "password") {
-      if (value.length > 0 && value.length < 8) {
-        setPasswordError("Password must be at least 8 characters");
-      } else {
-        setPasswordError(""); // Clear error if password is valid
-      }
+      setPasswordError(value ? fieldError(rules.password, value) || "" : "");
     }
   };
 
@@ -43,29 +44,19 @@ const Register = () => {
     e.preventDefault(); // Prevent page reload
     toast.dismiss(); // Clear any previous notifications
 
-    // Basic field validation
-    if (
-      !formData.username ||
-      !formData.firstName ||
-      !formData.lastName ||
-      !formData.email ||
-      !formData.password
-    ) {
-      toast.error("All fields are required!");
-      return;
-    }
-
-    // Password length validation
-    if (formData.password.length < 8) {
-      setPasswordError("Password must be at least 8 characters");
-      toast.error("Password must be at least 8 characters long");
-      return;
-    }
-
-    // Email format validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(formData.email)) {
-      toast.error("Please enter a valid email address");
+    const account = {
+      username: formData.username,
+      firstname: formData.firstName,
+      lastname: formData.lastName,
+      email: formData.email,
+      password: formData.password,
+    };
+
+    // Same checks as the server
+    const errors = formErrors(rules, account);
+    if (errors) {
+      if (errors.password) setPasswordError(errors.password);
+      toast.error(Object.values(errors)[0]);
       return;
     }
 
@@ -73,13 +64,7 @@ const Register = () => {
 
     try {
       // Registration API call
-      const res = await axios.post("/users/register", {
-        username: formData.username,
-        firstname: formData.firstName,
-        lastname: formData.lastName,
-        email: formData.email,
-        password: formData.password,
-      });
+      const res = await axios.post("/users/register", account);
 
       if (res.status === 201) {
         try {
@@ -91,7 +76,7 @@ const Register = () => {
 
           if (loginRes.status === 200) {
             const token = loginRes.data.token;
-            localStorage.setItem("token", token); // Store token in local storage
+            saveSession(loginRes.data); // Store access and refresh tokens
 
             const decoded = jwtDecode(token); // Decode token to get user info
 
@@ -116,9 +101,7 @@ const Register = () => {
 
       // Handle different error scenarios
       if (error.response) {
-        toast.error(
-          error.response.data?.msg || "Signup failed. Please try again."
-        );
+        toast.error(errorMessage(error, "Signup failed. Please try again."));
       } else if (error.request) {
         toast.error("Network error. Please check your connection.");
       } else {
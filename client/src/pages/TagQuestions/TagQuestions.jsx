@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { FaUserCircle } from "react-icons/fa";
+import { ClipLoader } from "react-spinners";
+import styles from "./TagQuestions.module.css";
+import axiosInstance from "../../API/axios";
+import Reputation from "../../components/Reputation/Reputation";
+
+const TagQuestions = () => {
+  const { tag } = useParams(); // Tag name from the URL
+  const [tagInfo, setTagInfo] = useState(null); // Tag with its question count
+  const [questions, setQuestions] = useState([]); // Questions on the current page
+  const [currentPage, setCurrentPage] = useState(1); // Pagination
+  const [totalPages, setTotalPages] = useState(0); // Total pages reported by the server
+  const [sort, setSort] = useState("newest"); // Sort order sent to the server
+  const [loading, setLoading] = useState(true); // Loading state
+  const [error, setError] = useState(""); // Error state
+  const navigate = useNavigate();
+
+  // Start from the first page when the tag changes
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [tag]);
+
+  // Fetch the tag and one page of its questions
+  useEffect(() => {
+    const fetchTagQuestions = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const [tagResponse, questionResponse] = await Promise.all([
+          axiosInstance.get(`/tags/${encodeURIComponent(tag)}`),
+          axiosInstance.get("/question", {
+            params: { tag, page: currentPage, limit: 10, sort },
+          }),
+        ]);
+        setTagInfo(tagResponse.data);
+        setQuestions(questionResponse.data.questions);
+        setTotalPages(questionResponse.data.totalPages);
+      } catch (err) {
+        console.error("Tag questions error:", err);
+        setError(
+          err.response?.status === 404
+            ? `There is no tag named "${tag}".`
+            : "Failed to load questions. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTagQuestions();
+  }, [tag, currentPage, sort]);
+
+  // Helper function to format date
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <Link to="/home" className={styles.backLink}>
+          ← Back to Questions
+        </Link>
+        <h1>
+          Questions tagged <span className={styles.tagName}>{tag}</span>
+        </h1>
+        {tagInfo && (
+          <p className={styles.count}>
+            {tagInfo.question_count} question
+            {tagInfo.question_count !== 1 ? "s" : ""}
+          </p>
+        )}
+      </div>
+
+      <div className={styles.controls}>
+        <select
+          value={sort}
+          onChange={(e) => {
+            setSort(e.target.value);
+            setCurrentPage(1);
+          }}
+          className={styles.sortSelect}
+        >
+          <option value="newest">Newest</option>
+          <option value="oldest">Oldest</option>
+          <option value="top">Top voted</option>
+          <option value="most_answered">Most answered</option>
+          <option value="unanswered">Unanswered</option>
+        </select>
+      </div>
+
+      {/* Loading state */}
+      {loading && (
+        <div className={styles.loadingContainer}>
+          <ClipLoader size={40} color="#f48024" />
+          <p>Loading questions...</p>
+        </div>
+      )}
+
+      {/* Error message */}
+      {error && <p className={styles.errorMessage}>{error}</p>}
+
+      {/* Questions list */}
+      {!loading && !error && (
+        <div className={styles.questionsList}>
+          {questions.map((question) => (
+            <div
+              key={question.question_id}
+              className={styles.questionCard}
+              onClick={() => navigate(`/questions/${question.question_id}`)}
+            >
+              <h3 className={styles.title}>
+                {question.is_solved && (
+                  <span className={styles.solvedBadge}>✓ Solved</span>
+                )}
+                {question.title}
+              </h3>
+              <div className={styles.tags}>
+                {question.tags.map((name) => (
+                  <Link
+                    key={name}
+                    to={`/tags/${encodeURIComponent(name)}`}
+                    className={styles.tag}
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    {name}
+                  </Link>
+                ))}
+              </div>
+              <div className={styles.meta}>
+                <span className={styles.author}>
+                  <FaUserCircle /> {question.user_name}
+                  <Reputation value={question.user_reputation} />
+                </span>
+                <span>
+                  {question.score} vote{question.score !== 1 ? "s" : ""} ·{" "}
+                  {question.answer_count} answer
+                  {question.answer_count !== 1 ? "s" : ""} · Asked{" "}
+                  {formatDate(question.createdAt)}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination controls */}
+      {!loading && !error && totalPages > 1 && (
+        <div className={styles.pagination}>
+          <button
+            onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+            disabled={currentPage === 1}
+          >
+            Previous
+          </button>
+          <span>
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage((prev) => prev + 1)}
+            disabled={currentPage >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagQuestions;
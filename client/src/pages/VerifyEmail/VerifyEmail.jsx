@@ -0,0 +1,82 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import styles from "./VerifyEmail.module.css";
+import { Link, useParams } from "react-router-dom";
+import { ClipLoader } from "react-spinners";
+import axiosInstance from "../../API/axios";
+import { errorMessage } from "../../API/errors";
+import { UserContext } from "../../context/UserProvider";
+
+function VerifyEmail() {
+  const { token } = useParams(); // Verification token from the emailed link
+  const [user, setUser] = useContext(UserContext);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  // Verify as soon as the page opens. The token is single use, so make sure
+  // the request is only sent once (StrictMode runs effects twice).
+  const requested = useRef(false);
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    axiosInstance
+      .post(`/users/verify-email/${token}`)
+      .then(({ data }) => setSuccess(data.msg))
+      .catch((err) =>
+        setError(
+          errorMessage(err, "This verification link is invalid or has expired")
+        )
+      )
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  // Hide the "verify your email" banner for a logged-in user
+  useEffect(() => {
+    if (success && user && user.email_verified === false) {
+      setUser({ ...user, email_verified: true });
+    }
+  }, [success, user, setUser]);
+
+  return (
+    <section className={styles.container}>
+      <div className={styles.card}>
+        <h3>Email verification</h3>
+
+        {loading && (
+          <div className={styles.loading}>
+            <ClipLoader color="#2563eb" size={20} />
+            <span>Verifying your email...</span>
+          </div>
+        )}
+
+        {error && (
+          <div className={styles.error}>
+            <strong>Error:</strong> {error}
+            {user && <p>You can request a new link from the home page.</p>}
+          </div>
+        )}
+
+        {success && (
+          <div className={styles.success}>
+            <strong>Success:</strong> {success}
+          </div>
+        )}
+
+        <div className={styles.linkContainer}>
+          {user ? (
+            <Link to="/home" className={styles.link}>
+              Go to home page
+            </Link>
+          ) : (
+            <Link to="/users/login" className={styles.link}>
+              Go to login
+            </Link>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,16 @@
+// Form validation with the API's own rules and checks (shared/validation.json
+// and shared/validator.mjs), so a form rejects exactly what the server would.
+// See shared/validator.mjs for the rule format.
+import definitions from "@shared/validation.json";
+import { createValidator } from "@shared/validator.mjs";
+
+// schemas: request schemas by name, e.g. schemas.createQuestion.body.title
+// fieldError(rule, value): the error message for one value, or null
+// formErrors(rules, values): { field: message } for form values checked
+//   against a set of field rules (e.g. schemas.register.body), or null
+export const { schemas, fieldError, formErrors } = createValidator(definitions);
+
+// react-hook-form rules for a field: register("title", registerRules(rule))
+export const registerRules = (rule) => ({
+  validate: (value) => fieldError(rule, value) || true,
+});
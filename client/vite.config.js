@@ -1,7 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // Validation rules and checks shared with the API (shared/validation.json,
+    // shared/validator.mjs)
+    alias: {
+      '@shared': fileURLToPath(new URL('../shared', import.meta.url)),
+    },
+  },
+  server: {
+    // Let the dev server read ../shared
+    fs: { allow: ['..'] },
+  },
 })
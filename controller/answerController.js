@@ -1,5 +1,33 @@
 const { StatusCodes } = require("http-status-codes");
 const dbConnection = require("../db/dbConfig");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const { can } = require("../utils/policy");
+const {
+  editedAtSql,
+  ensureBaseline,
+  recordRevision,
+} = require("../utils/revisions");
+const {
+  findPost,
+  deletePost,
+  restorePost,
+  RESTORE_WINDOW_DAYS,
+} = require("../utils/posts");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+} = require("../utils/errors");
+
+// Sort options accepted by GET /api/answers/question/:question_id (?sort=)
+// The accepted answer is always pinned first regardless of sort
+const ANSWER_SORTS = {
+  oldest: "a.createdAt ASC, a.answer_id ASC",
+  newest: "a.createdAt DESC, a.answer_id DESC",
+  top: "a.score DESC, a.createdAt ASC",
+};
 
 // Post answer
 const postAnswer = async (req, res) => {
@@ -8,59 +36,138 @@ const postAnswer = async (req, res) => {
   const { answer } = req.body;
 
   if (!userid) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({
-      message: "User not authenticated",
-    });
+    throw new UnauthorizedError("User not authenticated");
   }
 
-  if (!answer) {
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      message: "Please provide answer",
-    });
+  // Deleted questions can't get new answers
+  if (!(await findPost(dbConnection, "question", question_id))) {
+    throw new NotFoundError("Question not found");
   }
 
-  try {
-    await dbConnection.query(
-      "INSERT INTO answerTable (user_id, answer, question_id) VALUES (?, ?, ?)",
-      [userid, answer, question_id]
-    );
-    return res.status(StatusCodes.CREATED).json({
-      message: "Answer posted successfully",
-    });
-  } catch (err) {
-    console.log("Answer post error:", err);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      message: "An unexpected error occurred",
-    });
-  }
+  await dbConnection.query(
+    "INSERT INTO answerTable (user_id, answer, question_id) VALUES (?, ?, ?)",
+    [userid, answer, question_id]
+  );
+  return res.status(StatusCodes.CREATED).json({
+    message: "Answer posted successfully",
+  });
 };
 
 // Get all answers
 const allAnswers = async (req, res) => {
-  try {
-    const fetchAllAnswers = `SELECT 
-      questionTable.title,
-      questionTable.question_description,
-      answerTable.user_id,
-      answerTable.createdAt,
-      answerTable.answer_id,
-      answerTable.question_id,
-      userTable.user_name,
-      answerTable.answer 
-      FROM answerTable 
-      JOIN userTable ON userTable.user_id = answerTable.user_id 
-      JOIN questionTable ON answerTable.question_id = questionTable.question_id 
-      ORDER BY answerTable.createdAt DESC`;
-
-    const [allAnswers] = await dbConnection.query(fetchAllAnswers);
-
-    res.status(StatusCodes.OK).json({ answers: allAnswers });
-  } catch (error) {
-    console.log("Get answers error:", error);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      message: "Internal server error",
-    });
+  const fetchAllAnswers = `SELECT 
+    questionTable.title,
+    questionTable.question_description,
+    answerTable.user_id,
+    answerTable.createdAt,
+    answerTable.answer_id,
+    answerTable.question_id,
+    answerTable.score,
+    userTable.user_name,
+    userTable.reputation AS user_reputation,
+    answerTable.answer 
+    FROM answerTable 
+    JOIN userTable ON userTable.user_id = answerTable.user_id 
+    JOIN questionTable ON answerTable.question_id = questionTable.question_id 
+    WHERE answerTable.deletedAt IS NULL AND questionTable.deletedAt IS NULL
+    ORDER BY answerTable.createdAt DESC`;
+
+  const [allAnswers] = await dbConnection.query(fetchAllAnswers);
+
+  res.status(StatusCodes.OK).json({ answers: allAnswers });
+};
+
+// Get the answers for a single question (paginated, sortable)
+const questionAnswers = async (req, res) => {
+  const { question_id } = req.params;
+  const { page, limit, offset } = parsePagination(req.query);
+  const sort = ANSWER_SORTS[req.query.sort] ? req.query.sort : "oldest";
+
+  const [question] = await dbConnection.query(
+    "SELECT question_id FROM questionTable WHERE question_id = ? AND deletedAt IS NULL",
+    [question_id]
+  );
+
+  if (question.length === 0) {
+    throw new NotFoundError("Question not found");
   }
+
+  const [[{ total }]] = await dbConnection.query(
+    "SELECT COUNT(*) AS total FROM answerTable WHERE question_id = ? AND deletedAt IS NULL",
+    [question_id]
+  );
+
+  const [answers] = await dbConnection.query(
+    `SELECT 
+      a.answer_id,
+      a.question_id,
+      a.user_id,
+      a.answer,
+      a.score,
+      a.createdAt,
+      u.user_name,
+      u.reputation AS user_reputation,
+      a.answer_id <=> q.accepted_answer_id AS is_accepted,
+      ${editedAtSql("answer", "a.answer_id")},
+      (SELECT v.value FROM voteTable v
+        WHERE v.post_type = 'answer' AND v.post_id = a.answer_id AND v.user_id = ?) AS my_vote,
+      (SELECT COUNT(*) FROM commentTable c
+        WHERE c.post_type = 'answer' AND c.post_id = a.answer_id) AS comment_count
+    FROM answerTable a
+    JOIN userTable u ON u.user_id = a.user_id
+    JOIN questionTable q ON q.question_id = a.question_id
+    WHERE a.question_id = ? AND a.deletedAt IS NULL
+    ORDER BY is_accepted DESC, ${ANSWER_SORTS[sort]}
+    LIMIT ? OFFSET ?`,
+    [req.user?.userid, question_id, limit, offset]
+  );
+
+  return res.status(StatusCodes.OK).json({
+    answers: answers.map((answer) => ({
+      ...answer,
+      is_accepted: answer.is_accepted === 1,
+    })),
+    ...paginationMeta(total, { page, limit }),
+    sort,
+  });
+};
+
+// Get a single answer with its question context and ownership info
+const singleAnswer = async (req, res) => {
+  const userid = req.user?.userid;
+  const { answer_id } = req.params;
+
+  const [rows] = await dbConnection.query(
+    `SELECT 
+      a.answer_id,
+      a.question_id,
+      a.user_id,
+      a.answer,
+      a.score,
+      a.createdAt,
+      u.user_name,
+      u.reputation AS user_reputation,
+      q.title AS question_title,
+      q.question_description,
+      a.answer_id <=> q.accepted_answer_id AS is_accepted
+    FROM answerTable a
+    JOIN userTable u ON u.user_id = a.user_id
+    JOIN questionTable q ON q.question_id = a.question_id
+    WHERE a.answer_id = ? AND a.deletedAt IS NULL AND q.deletedAt IS NULL`,
+    [answer_id]
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError("Answer not found");
+  }
+
+  const answer = rows[0];
+  return res.status(StatusCodes.OK).json({
+    ...answer,
+    is_accepted: answer.is_accepted === 1,
+    is_owner: answer.user_id === userid,
+    can_edit: can(req.user, "post:update", answer),
+  });
 };
 
 // Delete answer
@@ -69,41 +176,38 @@ const deleteAnswer = async (req, res) => {
   const { answer_id } = req.params;
 
   if (!userid) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({
-      message: "User not authenticated",
-    });
+    throw new UnauthorizedError("User not authenticated");
   }
 
+  const connection = await dbConnection.getConnection();
   try {
-    // Check if answer exists and user owns it
-    const [answer] = await dbConnection.query(
-      "SELECT user_id FROM answerTable WHERE answer_id = ?",
-      [answer_id]
-    );
+    await connection.beginTransaction();
 
-    if (answer.length === 0) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        message: "Answer not found",
-      });
+    // Check if answer exists and the user may delete it
+    const answer = await findPost(connection, "answer", answer_id, true);
+
+    if (!answer) {
+      throw new NotFoundError("Answer not found");
     }
 
-    if (answer[0].user_id !== userid) {
-      return res.status(StatusCodes.FORBIDDEN).json({
-        message: "Not authorized to delete this answer",
-      });
+    if (!can(req.user, "post:delete", answer)) {
+      throw new ForbiddenError("Not authorized to delete this answer");
     }
 
-    await dbConnection.query("DELETE FROM answerTable WHERE answer_id = ?", [
-      answer_id,
-    ]);
+    // Soft delete; it can be restored within the restore window. In one
+    // transaction with the accepted answer bonus it may take back.
+    await deletePost(connection, "answer", answer_id, userid);
+
+    await connection.commit();
     return res.status(StatusCodes.OK).json({
       message: "Answer deleted successfully",
+      restore_window_days: RESTORE_WINDOW_DAYS,
     });
   } catch (error) {
-    console.log("Delete answer error:", error);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      message: "Internal server error",
-    });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
 };
 
@@ -111,52 +215,91 @@ const deleteAnswer = async (req, res) => {
 const editAnswer = async (req, res) => {
   const userid = req.user?.userid;
   const { answer_id } = req.params;
-  const { answer } = req.body;
+  const { answer, edit_summary } = req.body;
 
   if (!userid) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({
-      message: "User not authenticated",
-    });
-  }
-
-  if (!answer) {
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      message: "Please provide answer content",
-    });
+    throw new UnauthorizedError("User not authenticated");
   }
 
+  const connection = await dbConnection.getConnection();
   try {
-    // Check if answer exists and user owns it
-    const [existing] = await dbConnection.query(
-      "SELECT user_id FROM answerTable WHERE answer_id = ?",
-      [answer_id]
-    );
+    await connection.beginTransaction();
+
+    // Check if answer exists and the user may edit it; locked so concurrent
+    // edits get consecutive revision numbers
+    const existing = await findPost(connection, "answer", answer_id, true);
 
-    if (existing.length === 0) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        message: "Answer not found",
-      });
+    if (!existing) {
+      throw new NotFoundError("Answer not found");
     }
 
-    if (existing[0].user_id !== userid) {
-      return res.status(StatusCodes.FORBIDDEN).json({
-        message: "Not authorized to edit this answer",
-      });
+    if (!can(req.user, "post:update", existing)) {
+      throw new ForbiddenError("Not authorized to edit this answer");
     }
 
-    await dbConnection.query(
+    // Keep the content as it was before this edit in the history
+    await ensureBaseline(connection, "answer", answer_id);
+    await connection.query(
       "UPDATE answerTable SET answer = ? WHERE answer_id = ?",
       [answer, answer_id]
     );
+    await recordRevision(connection, "answer", answer_id, userid, edit_summary);
+
+    await connection.commit();
     return res.status(StatusCodes.OK).json({
       message: "Answer updated successfully",
     });
   } catch (error) {
-    console.log("Edit answer error:", error);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      message: "Internal server error",
-    });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Undo a soft delete within the restore window
+const restoreAnswer = async (req, res) => {
+  const { answer_id } = req.params;
+
+  const [rows] = await dbConnection.query(
+    `SELECT a.user_id, a.deletedBy, a.deletedAt, q.deletedAt AS question_deletedAt
+    FROM answerTable a
+    JOIN questionTable q ON q.question_id = a.question_id
+    WHERE a.answer_id = ?`,
+    [answer_id]
+  );
+
+  if (rows.length === 0 || !rows[0].deletedAt) {
+    throw new NotFoundError("Deleted answer not found");
+  }
+
+  if (!can(req.user, "post:restore", rows[0])) {
+    throw new ForbiddenError("Not authorized to restore this answer");
   }
+
+  if (rows[0].question_deletedAt) {
+    throw new ConflictError(
+      "The question was deleted; restore the question first"
+    );
+  }
+
+  if (!(await restorePost(dbConnection, "answer", answer_id))) {
+    throw new GoneError(
+      `Answers can only be restored within ${RESTORE_WINDOW_DAYS} days`
+    );
+  }
+
+  return res.status(StatusCodes.OK).json({
+    message: "Answer restored successfully",
+  });
 };
 
-module.exports = { deleteAnswer, editAnswer, postAnswer, allAnswers };
+module.exports = {
+  deleteAnswer,
+  editAnswer,
+  postAnswer,
+  allAnswers,
+  questionAnswers,
+  singleAnswer,
+  restoreAnswer,
+};
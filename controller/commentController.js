@@ -0,0 +1,124 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { POST_TYPES, findPost } = require("../utils/posts");
+const { can } = require("../utils/policy");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// Get the comments on a question or an answer, oldest first. Comments of a
+// deleted post are hidden with it.
+const getComments = async (req, res) => {
+  const { post_type, post_id } = req.params;
+
+  const post = await findPost(dbConnection, post_type, post_id);
+  if (!post) {
+    throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+  }
+
+  const [comments] = await dbConnection.query(
+    `SELECT 
+      c.comment_id,
+      c.post_type,
+      c.post_id,
+      c.user_id,
+      c.body,
+      c.createdAt,
+      c.updatedAt,
+      u.user_name,
+      u.reputation AS user_reputation
+    FROM commentTable c
+    JOIN userTable u ON u.user_id = c.user_id
+    WHERE c.post_type = ? AND c.post_id = ?
+    ORDER BY c.createdAt ASC, c.comment_id ASC`,
+    [post_type, post_id]
+  );
+
+  return res.status(StatusCodes.OK).json({ comments });
+};
+
+// Add a comment to a question or an answer
+const postComment = async (req, res) => {
+  const userid = req.user?.userid;
+  const { post_type, post_id } = req.params;
+  const { body } = req.body;
+
+  const post = await findPost(dbConnection, post_type, post_id);
+  if (!post) {
+    throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+  }
+
+  const [result] = await dbConnection.query(
+    "INSERT INTO commentTable (user_id, post_type, post_id, body) VALUES (?, ?, ?, ?)",
+    [userid, post_type, post_id, body.trim()]
+  );
+
+  return res.status(StatusCodes.CREATED).json({
+    message: "Comment posted successfully",
+    comment_id: result.insertId,
+  });
+};
+
+// Edit a comment (owner or moderator). Comments of a deleted post can't be
+// edited until it is restored.
+const editComment = async (req, res) => {
+  const { comment_id } = req.params;
+  const { body } = req.body;
+
+  const [existing] = await dbConnection.query(
+    "SELECT user_id, post_type, post_id FROM commentTable WHERE comment_id = ?",
+    [comment_id]
+  );
+
+  if (existing.length === 0) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  const { post_type, post_id } = existing[0];
+  if (!(await findPost(dbConnection, post_type, post_id))) {
+    throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+  }
+
+  if (!can(req.user, "post:update", existing[0])) {
+    throw new ForbiddenError("Not authorized to edit this comment");
+  }
+
+  await dbConnection.query(
+    "UPDATE commentTable SET body = ?, updatedAt = CURRENT_TIMESTAMP WHERE comment_id = ?",
+    [body.trim(), comment_id]
+  );
+  return res.status(StatusCodes.OK).json({
+    message: "Comment updated successfully",
+  });
+};
+
+// Delete a comment (owner or moderator). Comments of a deleted post stay
+// as they are, so restoring the post brings all of them back.
+const deleteComment = async (req, res) => {
+  const { comment_id } = req.params;
+
+  const [existing] = await dbConnection.query(
+    "SELECT user_id, post_type, post_id FROM commentTable WHERE comment_id = ?",
+    [comment_id]
+  );
+
+  if (existing.length === 0) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  const { post_type, post_id } = existing[0];
+  if (!(await findPost(dbConnection, post_type, post_id))) {
+    throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+  }
+
+  if (!can(req.user, "post:delete", existing[0])) {
+    throw new ForbiddenError("Not authorized to delete this comment");
+  }
+
+  await dbConnection.query("DELETE FROM commentTable WHERE comment_id = ?", [
+    comment_id,
+  ]);
+  return res.status(StatusCodes.OK).json({
+    message: "Comment deleted successfully",
+  });
+};
+
+module.exports = { getComments, postComment, editComment, deleteComment };
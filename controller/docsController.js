@@ -0,0 +1,39 @@
+const { StatusCodes } = require("http-status-codes");
+const openapi = require("../docs/openapi");
+
+// Swagger UI, loaded from a CDN so the API has no extra dependency
+const SWAGGER_UI = "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14";
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Evangadi Forum API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({
+        url: "/api/docs/openapi.json",
+        dom_id: "#swagger-ui",
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>
+`;
+
+// The OpenAPI document (docs/openapi.js)
+const getSpec = (req, res) => {
+  return res.status(StatusCodes.OK).json(openapi);
+};
+
+// Interactive docs: browse the API and try requests with a bearer token
+const getDocsPage = (req, res) => {
+  return res.status(StatusCodes.OK).type("html").send(DOCS_PAGE);
+};
+
+module.exports = { getSpec, getDocsPage };
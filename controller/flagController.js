@@ -0,0 +1,299 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const { POST_TYPES, findPost, deletePost } = require("../utils/posts");
+const { can } = require("../utils/policy");
+const { sendMail } = require("../utils/mailer");
+const { logger } = require("../utils/logger");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+} = require("../utils/errors");
+
+const FLAG_STATUSES = ["open", "dismissed", "actioned"];
+const DEFAULT_SUSPENSION_DAYS = 7;
+
+// The user a flag is about: the author of a post, or the flagged user.
+// Returns { user_id, user_name, email, role } or null.
+const findFlaggedUser = async (connection, targetType, targetId) => {
+  let userId = targetId;
+
+  if (POST_TYPES[targetType]) {
+    const post = await findPost(connection, targetType, targetId);
+    if (!post) return null;
+    userId = post.user_id;
+  }
+
+  const [users] = await connection.query(
+    "SELECT user_id, user_name, email, role FROM userTable WHERE user_id = ?",
+    [userId]
+  );
+  return users[0] || null;
+};
+
+// Flag a question, answer or user - body: { reason, details }
+const createFlag = async (req, res) => {
+  const userid = req.user?.userid;
+  const { target_type, target_id } = req.params;
+  const { reason } = req.body || {};
+  const details = (req.body?.details || "").trim();
+
+  const flagged = await findFlaggedUser(dbConnection, target_type, target_id);
+
+  if (!flagged) {
+    const label = POST_TYPES[target_type]?.label || "User";
+    throw new NotFoundError(`${label} not found`);
+  }
+
+  if (flagged.user_id === userid) {
+    throw new BadRequestError("You cannot flag your own content");
+  }
+
+  // One open flag per reporter and target, enforced by uq_flag_open so
+  // concurrent requests can't both get in
+  let result;
+  try {
+    [result] = await dbConnection.query(
+      `INSERT INTO flagTable (reporter_id, target_type, target_id, reason, details)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userid, target_type, target_id, reason, details || null]
+    );
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("You have already flagged this");
+    }
+    throw error;
+  }
+
+  return res.status(StatusCodes.CREATED).json({
+    message: "Thanks, a moderator will review this",
+    flag_id: result.insertId,
+  });
+};
+
+// Moderation queue, oldest first so nothing waits forever
+// Query: status (open | dismissed | actioned, default open), page, limit
+const getFlags = async (req, res) => {
+  const status = FLAG_STATUSES.includes(req.query.status)
+    ? req.query.status
+    : "open";
+  const { page, limit, offset } = parsePagination(req.query, 20);
+
+  const [[{ total }]] = await dbConnection.query(
+    "SELECT COUNT(*) AS total FROM flagTable WHERE status = ?",
+    [status]
+  );
+
+  const [rows] = await dbConnection.query(
+    `SELECT
+      f.flag_id,
+      f.target_type,
+      f.target_id,
+      f.reason,
+      f.details,
+      f.status,
+      f.resolution,
+      f.resolved_at,
+      f.createdAt,
+      f.reporter_id,
+      r.user_name AS reporter_name,
+      m.user_name AS resolved_by_name,
+      q.title AS question_title,
+      q.question_description,
+      a.answer,
+      a.question_id AS answer_question_id,
+      aq.title AS answer_question_title,
+      au.user_id AS author_id,
+      au.user_name AS author_name,
+      au.role AS author_role,
+      au.warning_count AS author_warning_count,
+      au.suspended_until AS author_suspended_until,
+      (SELECT COUNT(*) FROM flagTable f2
+        WHERE f2.target_type = f.target_type AND f2.target_id = f.target_id
+          AND f2.status = 'open') AS open_flag_count
+    FROM flagTable f
+    JOIN userTable r ON r.user_id = f.reporter_id
+    LEFT JOIN userTable m ON m.user_id = f.resolved_by
+    LEFT JOIN questionTable q
+      ON f.target_type = 'question' AND q.question_id = f.target_id
+        AND q.deletedAt IS NULL
+    LEFT JOIN answerTable a
+      ON f.target_type = 'answer' AND a.answer_id = f.target_id
+        AND a.deletedAt IS NULL
+    LEFT JOIN questionTable aq ON aq.question_id = a.question_id
+    LEFT JOIN userTable au ON au.user_id = CASE f.target_type
+      WHEN 'question' THEN q.user_id
+      WHEN 'answer' THEN a.user_id
+      ELSE f.target_id END
+    WHERE f.status = ?
+    ORDER BY f.createdAt ASC, f.flag_id ASC
+    LIMIT ? OFFSET ?`,
+    [status, limit, offset]
+  );
+
+  // Shape the flagged content per target type; null once it is gone
+  const flags = rows.map((row) => {
+    let content = null;
+    if (row.target_type === "question" && row.question_title !== null) {
+      content = {
+        question_id: row.target_id,
+        title: row.question_title,
+        question_description: row.question_description,
+      };
+    } else if (row.target_type === "answer" && row.answer !== null) {
+      content = {
+        answer_id: row.target_id,
+        answer: row.answer,
+        question_id: row.answer_question_id,
+        question_title: row.answer_question_title,
+      };
+    } else if (row.target_type === "user" && row.author_id !== null) {
+      content = { user_id: row.author_id, user_name: row.author_name };
+    }
+
+    return {
+      flag_id: row.flag_id,
+      target_type: row.target_type,
+      target_id: row.target_id,
+      reason: row.reason,
+      details: row.details,
+      status: row.status,
+      resolution: row.resolution,
+      resolved_at: row.resolved_at,
+      resolved_by_name: row.resolved_by_name,
+      createdAt: row.createdAt,
+      reporter_id: row.reporter_id,
+      reporter_name: row.reporter_name,
+      open_flag_count: row.open_flag_count,
+      content,
+      author: row.author_id
+        ? {
+            user_id: row.author_id,
+            user_name: row.author_name,
+            role: row.author_role,
+            warning_count: row.author_warning_count,
+            suspended_until: row.author_suspended_until,
+          }
+        : null,
+    };
+  });
+
+  return res.status(StatusCodes.OK).json({
+    flags,
+    ...paginationMeta(total, { page, limit }),
+    status,
+  });
+};
+
+// Resolve a flag - body: { action: dismiss | delete | warn | suspend, days }
+// Every open flag on the same target is closed with it.
+const resolveFlag = async (req, res) => {
+  const userid = req.user?.userid;
+  const { flag_id } = req.params;
+  const { action } = req.body || {};
+  const days = Number(req.body?.days ?? DEFAULT_SUSPENSION_DAYS);
+
+  const connection = await dbConnection.getConnection();
+  let notice = null; // Email to the author, sent after commit
+
+  try {
+    await connection.beginTransaction();
+
+    const [flags] = await connection.query(
+      "SELECT target_type, target_id, status FROM flagTable WHERE flag_id = ? FOR UPDATE",
+      [flag_id]
+    );
+
+    if (flags.length === 0) {
+      throw new NotFoundError("Flag not found");
+    }
+
+    const flag = flags[0];
+    if (flag.status !== "open") {
+      throw new ConflictError("This flag has already been resolved");
+    }
+
+    const flagged = await findFlaggedUser(
+      connection,
+      flag.target_type,
+      flag.target_id
+    );
+
+    if (action !== "dismiss" && !flagged) {
+      throw new GoneError(
+        "The flagged content no longer exists, dismiss the flag"
+      );
+    }
+
+    if (
+      (action === "warn" || action === "suspend") &&
+      !can(req.user, "user:moderate", flagged)
+    ) {
+      throw new ForbiddenError("You cannot warn or suspend this user");
+    }
+
+    if (action === "delete") {
+      if (!POST_TYPES[flag.target_type]) {
+        throw new BadRequestError("Only questions and answers can be deleted");
+      }
+      await deletePost(connection, flag.target_type, flag.target_id, userid);
+    } else if (action === "warn") {
+      await connection.query(
+        "UPDATE userTable SET warning_count = warning_count + 1 WHERE user_id = ?",
+        [flagged.user_id]
+      );
+      notice = {
+        to: flagged.email,
+        subject: "A warning from the Evangadi Forum moderators",
+        text: `Hi ${flagged.user_name},\n\nA moderator reviewed a report about your ${flag.target_type === "user" ? "account" : flag.target_type} and issued a warning. Please keep your posts respectful and on topic; repeated problems can lead to a suspension.`,
+      };
+    } else if (action === "suspend") {
+      await connection.query(
+        "UPDATE userTable SET suspended_until = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE user_id = ?",
+        [days, flagged.user_id]
+      );
+      notice = {
+        to: flagged.email,
+        subject: "Your Evangadi Forum account has been suspended",
+        text: `Hi ${flagged.user_name},\n\nAfter reviewing a report, a moderator suspended your account for ${days} day${days !== 1 ? "s" : ""}. You can still read the forum but cannot post until the suspension ends.`,
+      };
+    }
+
+    const [result] = await connection.query(
+      `UPDATE flagTable
+       SET status = ?, resolution = ?, resolved_by = ?, resolved_at = NOW()
+       WHERE target_type = ? AND target_id = ? AND status = 'open'`,
+      [
+        action === "dismiss" ? "dismissed" : "actioned",
+        action,
+        userid,
+        flag.target_type,
+        flag.target_id,
+      ]
+    );
+
+    await connection.commit();
+
+    if (notice) {
+      sendMail(notice).catch((error) =>
+        logger.warn("Moderation email failed", { err: error })
+      );
+    }
+
+    return res.status(StatusCodes.OK).json({
+      message: "Flag resolved",
+      action,
+      resolved_flags: result.affectedRows,
+    });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = { createFlag, getFlags, resolveFlag };
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { gauge, render } = require("../utils/metrics");
+const { UnauthorizedError, NotFoundError } = require("../utils/errors");
+require("dotenv").config();
+
+// How long /ready waits for the database before reporting it down
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 2000;
+
+// Pool usage, read from mysql2's pool when /metrics is scraped. mysql2 has no
+// public API for these counts, so its internal lists are read and a stat is
+// left out when a mysql2 version doesn't have the list it comes from.
+const pool = dbConnection.pool;
+
+// Length of one of the pool's internal lists, or null when it's missing
+function poolCount(field) {
+  const list = pool?.[field];
+  return typeof list?.length === "number" ? list.length : null;
+}
+
+gauge("db_pool_connections", "Database pool connections, by state", () => {
+  const total = poolCount("_allConnections");
+  const idle = poolCount("_freeConnections");
+  const samples = [];
+  if (total !== null && idle !== null) {
+    samples.push({ labels: { state: "in_use" }, value: total - idle });
+  }
+  if (idle !== null) samples.push({ labels: { state: "idle" }, value: idle });
+  return samples;
+});
+gauge("db_pool_connection_limit", "Most connections the pool opens", () => {
+  const limit = pool?.config?.connectionLimit;
+  return typeof limit === "number" ? limit : null;
+});
+gauge("db_pool_queued_requests", "Queries waiting for a free connection", () =>
+  poolCount("_connectionQueue")
+);
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Liveness: the process is up and answering. Says nothing about the database,
+// so a database outage doesn't get the process restarted.
+const health = (req, res) => {
+  return res.status(StatusCodes.OK).json({
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+  });
+};
+
+// Readiness: the database answers, so requests can be served. Load balancers
+// stop routing here while this returns 503.
+const ready = async (req, res) => {
+  const started = Date.now();
+  try {
+    await withTimeout(dbConnection.query("SELECT 1"), READY_TIMEOUT_MS);
+    return res.status(StatusCodes.OK).json({
+      status: "ready",
+      checks: { database: { status: "up", duration_ms: Date.now() - started } },
+    });
+  } catch (error) {
+    return res.status(StatusCodes.SERVICE_UNAVAILABLE).json({
+      status: "unavailable",
+      checks: { database: { status: "down", error: error.message } },
+    });
+  }
+};
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token. Without one it is served only when METRICS_PUBLIC=true,
+// since the counts and route names shouldn't be open to anyone by default.
+const metrics = (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected && process.env.METRICS_PUBLIC !== "true") {
+    throw new NotFoundError();
+  }
+  if (expected) {
+    const given = (req.get("Authorization") || "").replace(/^Bearer /, "");
+    const a = crypto.createHash("sha256").update(given).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    if (!crypto.timingSafeEqual(a, b)) throw new UnauthorizedError();
+  }
+
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.status(StatusCodes.OK).send(render());
+};
+
+module.exports = { health, ready, metrics };
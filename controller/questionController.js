@@ -1,179 +1,465 @@
 const dbConnection = require("../db/dbConfig");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const {
+  normalizeTag,
+  parseTags,
+  splitTags,
+  saveQuestionTags,
+  QUESTION_TAGS_SQL,
+  HAS_TAG_SQL,
+} = require("../utils/tags");
+const { recordAcceptReputation } = require("../utils/reputation");
+const { can, hasRole } = require("../utils/policy");
+const {
+  findPost,
+  deletePost,
+  restorePost,
+  RESTORE_WINDOW_DAYS,
+} = require("../utils/posts");
+const {
+  editedAtSql,
+  ensureBaseline,
+  recordRevision,
+} = require("../utils/revisions");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  GoneError,
+} = require("../utils/errors");
 
 // Create Question
 async function createQuestion(req, res) {
-  const { title, question_description, tag } = req.body; // ✅ include tag
+  const { title, question_description } = req.body;
   const userid = req.user?.userid; // ✅ comes from auth middleware
-
-  if (!title || !question_description) {
-    return res.status(400).json({
-      error: "Bad Request",
-      message: "Please provide title and description",
-    });
-  }
+  const tags = parseTags(req.body.tags); // array or comma separated string
 
   if (!userid) {
-    return res.status(401).json({
-      error: "Unauthorized",
-      message: "User ID is missing from token",
-    });
+    throw new UnauthorizedError("User ID is missing from token");
   }
 
+  const connection = await dbConnection.getConnection();
   try {
-    await dbConnection.query(
-      "INSERT INTO questionTable (user_id, title, question_description, tag) VALUES (?, ?, ?, ?)",
-      [userid, title, question_description, tag || null]
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      "INSERT INTO questionTable (user_id, title, question_description) VALUES (?, ?, ?)",
+      [userid, title, question_description]
     );
+    await saveQuestionTags(connection, result.insertId, tags);
 
+    await connection.commit();
     res.status(201).json({
       message: "Question created successfully",
+      question_id: result.insertId,
+      tags,
     });
   } catch (err) {
-    console.error("DB Error:", err.message);
-    res.status(500).json({
-      error: "Internal Server Error",
-      message: "An unexpected error occurred.",
-    });
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
   }
 }
 
-// Get all questions
+// Sort options accepted by GET /api/question (?sort=)
+const QUESTION_SORTS = {
+  newest: "q.createdAt DESC, q.question_id DESC",
+  oldest: "q.createdAt ASC, q.question_id ASC",
+  most_answered: "answer_count DESC, q.createdAt DESC",
+  top: "q.score DESC, q.createdAt DESC",
+  unanswered: "q.createdAt DESC, q.question_id DESC",
+};
+
+// Get all questions (paginated, sortable, filterable by tag and author)
 async function getAllQuestion(req, res) {
-  try {
-    // Remove userid parameter since we're getting ALL questions
-    const [rows] = await dbConnection.query(
-      `SELECT 
-        q.question_id,
-        q.title,
-        q.question_description,
-        q.tag,
-        q.createdAt,
-        q.user_id,
-        u.user_name
-      FROM questionTable q
-      INNER JOIN userTable u ON q.user_id = u.user_id
-      ORDER BY q.createdAt DESC`
-      // Remove [userid] parameter
-    );
+  const { page, limit, offset } = parsePagination(req.query, 7);
+  const sort = QUESTION_SORTS[req.query.sort] ? req.query.sort : "newest";
+  const { tag, author, solved } = req.query;
 
-    res.status(200).json(rows);
-  } catch (err) {
-    console.error("Error in getAllQuestion:", err);
-    res.status(500).json({ error: "Internal Server Error" });
+  const conditions = [];
+  const params = [];
+
+  if (tag) {
+    conditions.push(HAS_TAG_SQL);
+    params.push(normalizeTag(tag));
   }
+
+  if (author) {
+    conditions.push("u.user_name = ?");
+    params.push(author);
+  }
+
+  if (solved === "true") {
+    conditions.push("q.accepted_answer_id IS NOT NULL");
+  } else if (solved === "false") {
+    conditions.push("q.accepted_answer_id IS NULL");
+  }
+
+  if (sort === "unanswered") {
+    conditions.push(
+      "NOT EXISTS (SELECT 1 FROM answerTable a WHERE a.question_id = q.question_id AND a.deletedAt IS NULL)"
+    );
+  }
+
+  // Soft-deleted questions never show up in listings
+  conditions.push("q.deletedAt IS NULL");
+  const where = `WHERE ${conditions.join(" AND ")}`;
+
+  const [[{ total }]] = await dbConnection.query(
+    `SELECT COUNT(*) AS total
+    FROM questionTable q
+    INNER JOIN userTable u ON q.user_id = u.user_id
+    ${where}`,
+    params
+  );
+
+  const [rows] = await dbConnection.query(
+    `SELECT 
+      q.question_id,
+      q.title,
+      q.question_description,
+      ${QUESTION_TAGS_SQL},
+      q.createdAt,
+      q.user_id,
+      q.score,
+      q.accepted_answer_id,
+      u.user_name,
+      u.reputation AS user_reputation,
+      (SELECT COUNT(*) FROM answerTable a
+        WHERE a.question_id = q.question_id AND a.deletedAt IS NULL) AS answer_count
+    FROM questionTable q
+    INNER JOIN userTable u ON q.user_id = u.user_id
+    ${where}
+    ORDER BY ${QUESTION_SORTS[sort]}
+    LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  res.status(200).json({
+    questions: rows.map((row) => ({
+      ...row,
+      tags: splitTags(row.tags),
+      is_solved: row.accepted_answer_id !== null,
+    })),
+    ...paginationMeta(total, { page, limit }),
+    sort,
+  });
 }
 
 // Get a single question by ID
 async function getSingleQuestion(req, res) {
   const { question_id } = req.params;
-  // Remove userid since we don't need it for filtering
 
-  try {
-    const [rows] = await dbConnection.query(
-      `SELECT 
-        q.question_id,
-        q.title,
-        q.question_description,
-        q.tag,
-        q.createdAt,
-        q.user_id,
-        u.user_name
-      FROM questionTable q
-      INNER JOIN userTable u ON q.user_id = u.user_id
-      WHERE q.question_id = ?`,
-      [question_id] // Remove userid from parameters
-    );
-
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "Question not found" });
-    }
+  const [rows] = await dbConnection.query(
+    `SELECT 
+      q.question_id,
+      q.title,
+      q.question_description,
+      ${QUESTION_TAGS_SQL},
+      q.createdAt,
+      q.user_id,
+      q.score,
+      q.accepted_answer_id,
+      u.user_name,
+      u.reputation AS user_reputation,
+      ${editedAtSql("question", "q.question_id")},
+      (SELECT v.value FROM voteTable v
+        WHERE v.post_type = 'question' AND v.post_id = q.question_id AND v.user_id = ?) AS my_vote,
+      (SELECT COUNT(*) FROM commentTable c
+        WHERE c.post_type = 'question' AND c.post_id = q.question_id) AS comment_count
+    FROM questionTable q
+    INNER JOIN userTable u ON q.user_id = u.user_id
+    WHERE q.question_id = ? AND q.deletedAt IS NULL`,
+    [req.user?.userid, question_id]
+  );
 
-    res.status(200).json(rows[0]);
-  } catch (err) {
-    console.error("Error in getSingleQuestion:", err);
-    res.status(500).json({ error: "Internal Server Error" });
+  if (rows.length === 0) {
+    throw new NotFoundError("Question not found");
   }
+
+  res.status(200).json({ ...rows[0], tags: splitTags(rows[0].tags) });
 }
 
 // Update a question by ID (only owner can update)
 async function updateQuestion(req, res) {
   const { question_id } = req.params;
-  const { title, question_description, tag } = req.body;
+  const { title, question_description, edit_summary } = req.body;
   const userid = req.user?.userid;
+  // Tags are only replaced when the request includes them
+  const tags = req.body.tags === undefined ? null : parseTags(req.body.tags);
 
-  console.log("Updating question:", question_id, "by user:", userid);
-
+  const connection = await dbConnection.getConnection();
   try {
-    const [existing] = await dbConnection.query(
-      `SELECT * FROM questionTable WHERE question_id = ?`,
-      [question_id]
-    );
+    await connection.beginTransaction();
 
-    console.log("Found question:", existing);
+    // Locked so concurrent edits get consecutive revision numbers
+    const existing = await findPost(connection, "question", question_id, true);
 
-    if (existing.length === 0) {
-      return res.status(404).json({ message: "Question not found" });
+    if (!existing) {
+      throw new NotFoundError("Question not found");
     }
 
-    // Check ownership clearly
-    if (parseInt(existing[0].user_id, 10) !== parseInt(userid, 10)) {
-      return res.status(403).json({
-        message: `You are not authorized to update this question. (Owner: ${existing[0].user_id}, Your ID: ${userid})`,
-      });
+    // The owner or a moderator
+    if (!can(req.user, "post:update", existing)) {
+      throw new ForbiddenError(
+        "You are not authorized to update this question"
+      );
     }
 
-    await dbConnection.query(
+    // Keep the content as it was before this edit in the history
+    await ensureBaseline(connection, "question", question_id);
+    await connection.query(
       `UPDATE questionTable 
-       SET title = ?, question_description = ?, tag = ?
+       SET title = ?, question_description = ?
        WHERE question_id = ?`,
-      [title, question_description, tag, question_id]
+      [title, question_description, question_id]
     );
+    if (tags) {
+      await saveQuestionTags(connection, question_id, tags);
+    }
+    await recordRevision(
+      connection,
+      "question",
+      question_id,
+      userid,
+      edit_summary
+    );
+    await connection.commit();
 
     res.status(200).json({ message: "Question updated successfully" });
   } catch (err) {
-    console.error("Error in updateQuestion:", err);
-    res.status(500).json({ error: "Internal Server Error" });
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
   }
 }
 
-// Delete a question by ID (only owner can delete)
+// Delete a question by ID (owner or moderator)
 async function deleteQuestion(req, res) {
   const { question_id } = req.params;
   const userid = req.user?.userid; // Add optional chaining
 
   if (!userid) {
-    return res.status(401).json({ message: "User not authenticated" });
+    throw new UnauthorizedError("User not authenticated");
   }
 
+  const connection = await dbConnection.getConnection();
   try {
+    await connection.beginTransaction();
+
     // Check if question exists
-    const [existing] = await dbConnection.query(
-      `SELECT * FROM questionTable WHERE question_id = ?`,
+    const existing = await findPost(connection, "question", question_id, true);
+
+    if (!existing) {
+      throw new NotFoundError("Question not found");
+    }
+
+    // The owner or a moderator
+    if (!can(req.user, "post:delete", existing)) {
+      throw new ForbiddenError(
+        "You are not authorized to delete this question"
+      );
+    }
+
+    // Soft delete; answers and comments are hidden with it and come back
+    // if it is restored within the restore window
+    await deletePost(connection, "question", question_id, userid);
+
+    await connection.commit();
+    res.status(200).json({
+      message: "Question deleted successfully",
+      restore_window_days: RESTORE_WINDOW_DAYS,
+    });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Mark an answer as the accepted solution (only the question owner)
+async function acceptAnswer(req, res) {
+  const { question_id } = req.params;
+  const { answer_id } = req.body;
+  const userid = req.user?.userid;
+
+  const connection = await dbConnection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [question] = await connection.query(
+      `SELECT user_id, accepted_answer_id FROM questionTable
+       WHERE question_id = ? AND deletedAt IS NULL FOR UPDATE`,
       [question_id]
     );
 
-    if (existing.length === 0) {
-      return res.status(404).json({ message: "Question not found" });
+    if (question.length === 0) {
+      throw new NotFoundError("Question not found");
+    }
+
+    if (!can(req.user, "question:accept", question[0])) {
+      throw new ForbiddenError("Only the question owner can accept an answer");
+    }
+
+    const [answer] = await connection.query(
+      `SELECT answer_id FROM answerTable
+       WHERE answer_id = ? AND question_id = ? AND deletedAt IS NULL`,
+      [answer_id, question_id]
+    );
+
+    if (answer.length === 0) {
+      throw new NotFoundError("Answer not found for this question");
     }
 
-    // Check ownership
-    if (parseInt(existing[0].user_id, 10) !== parseInt(userid, 10)) {
-      return res.status(403).json({
-        message: `You are not authorized to delete this question. (Owner: ${existing[0].user_id}, Your ID: ${userid})`,
+    const previousAnswerId = question[0].accepted_answer_id;
+    const acceptedId = answer[0].answer_id;
+
+    // Replaces any previously accepted answer
+    if (previousAnswerId !== acceptedId) {
+      await connection.query(
+        `UPDATE questionTable SET accepted_answer_id = ? WHERE question_id = ?`,
+        [acceptedId, question_id]
+      );
+      await recordAcceptReputation(connection, {
+        actorId: userid,
+        previousAnswerId,
+        answerId: acceptedId,
       });
     }
 
-    // Delete the question
-    await dbConnection.query(
-      `DELETE FROM questionTable WHERE question_id = ?`,
+    await connection.commit();
+    res.status(200).json({
+      message: "Answer accepted",
+      accepted_answer_id: acceptedId,
+    });
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Remove the accepted answer from a question (only the question owner)
+async function unacceptAnswer(req, res) {
+  const { question_id } = req.params;
+  const userid = req.user?.userid;
+
+  const connection = await dbConnection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [question] = await connection.query(
+      `SELECT user_id, accepted_answer_id FROM questionTable
+       WHERE question_id = ? AND deletedAt IS NULL FOR UPDATE`,
       [question_id]
     );
 
-    res.status(200).json({ message: "Question deleted successfully" });
+    if (question.length === 0) {
+      throw new NotFoundError("Question not found");
+    }
+
+    if (!can(req.user, "question:accept", question[0])) {
+      throw new ForbiddenError(
+        "Only the question owner can un-accept an answer"
+      );
+    }
+
+    if (question[0].accepted_answer_id) {
+      await connection.query(
+        `UPDATE questionTable SET accepted_answer_id = NULL WHERE question_id = ?`,
+        [question_id]
+      );
+      await recordAcceptReputation(connection, {
+        actorId: userid,
+        previousAnswerId: question[0].accepted_answer_id,
+        answerId: null,
+      });
+    }
+
+    await connection.commit();
+    res
+      .status(200)
+      .json({ message: "Answer un-accepted", accepted_answer_id: null });
   } catch (err) {
-    console.error("Error in deleteQuestion:", err);
-    res.status(500).json({ error: "Internal Server Error" });
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Undo a soft delete within the restore window
+async function restoreQuestion(req, res) {
+  const { question_id } = req.params;
+
+  const [existing] = await dbConnection.query(
+    `SELECT user_id, deletedBy, deletedAt FROM questionTable WHERE question_id = ?`,
+    [question_id]
+  );
+
+  if (existing.length === 0 || !existing[0].deletedAt) {
+    throw new NotFoundError("Deleted question not found");
   }
+
+  if (!can(req.user, "post:restore", existing[0])) {
+    throw new ForbiddenError("You are not authorized to restore this question");
+  }
+
+  if (!(await restorePost(dbConnection, "question", question_id))) {
+    throw new GoneError(
+      `Questions can only be restored within ${RESTORE_WINDOW_DAYS} days`
+    );
+  }
+
+  res.status(200).json({ message: "Question restored successfully" });
+}
+
+// Recently deleted questions and answers that can still be restored: the
+// user's own, or everyone's for moderators (?all=true)
+async function getDeletedPosts(req, res) {
+  const everyone = req.query.all === "true" && hasRole(req.user, "moderator");
+  const ownerFilter = everyone ? "" : "AND p.user_id = ?";
+  const ownerParams = everyone ? [] : [req.user.userid];
+
+  const [questions] = await dbConnection.query(
+    `SELECT p.question_id, p.title, p.user_id, u.user_name, p.deletedAt,
+      d.user_name AS deleted_by_name, p.deletedBy
+    FROM questionTable p
+    JOIN userTable u ON u.user_id = p.user_id
+    LEFT JOIN userTable d ON d.user_id = p.deletedBy
+    WHERE p.deletedAt > DATE_SUB(NOW(), INTERVAL ? DAY) ${ownerFilter}
+    ORDER BY p.deletedAt DESC`,
+    [RESTORE_WINDOW_DAYS, ...ownerParams]
+  );
+
+  const [answers] = await dbConnection.query(
+    `SELECT p.answer_id, p.question_id, q.title AS question_title, p.answer,
+      p.user_id, u.user_name, p.deletedAt, d.user_name AS deleted_by_name,
+      p.deletedBy, q.deletedAt IS NOT NULL AS question_deleted
+    FROM answerTable p
+    JOIN questionTable q ON q.question_id = p.question_id
+    JOIN userTable u ON u.user_id = p.user_id
+    LEFT JOIN userTable d ON d.user_id = p.deletedBy
+    WHERE p.deletedAt > DATE_SUB(NOW(), INTERVAL ? DAY) ${ownerFilter}
+    ORDER BY p.deletedAt DESC`,
+    [RESTORE_WINDOW_DAYS, ...ownerParams]
+  );
+
+  // Only list what the user is actually allowed to restore
+  const restorable = (post) => can(req.user, "post:restore", post);
+
+  res.status(200).json({
+    questions: questions.filter(restorable),
+    answers: answers.filter(restorable).map((answer) => ({
+      ...answer,
+      question_deleted: answer.question_deleted === 1,
+    })),
+    restore_window_days: RESTORE_WINDOW_DAYS,
+  });
 }
 
 module.exports = {
@@ -182,4 +468,8 @@ module.exports = {
   getSingleQuestion,
   updateQuestion,
   deleteQuestion,
+  acceptAnswer,
+  unacceptAnswer,
+  restoreQuestion,
+  getDeletedPosts,
 };
@@ -0,0 +1,94 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { POST_TYPES, findPost } = require("../utils/posts");
+const { can } = require("../utils/policy");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const {
+  ensureBaseline,
+  recordRevision,
+  applyRevision,
+  listRevisions,
+} = require("../utils/revisions");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// Revision history of a question or an answer, newest first and paginated,
+// with the changes each revision made
+const getRevisions = async (req, res) => {
+  const { post_type, post_id } = req.params;
+  const { page, limit, offset } = parsePagination(req.query);
+
+  const post = await findPost(dbConnection, post_type, post_id);
+  if (!post) {
+    throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+  }
+
+  const { revisions, total } = await listRevisions(
+    dbConnection,
+    post_type,
+    post_id,
+    { limit, offset }
+  );
+
+  return res.status(StatusCodes.OK).json({
+    revisions,
+    ...paginationMeta(total, { page, limit }),
+    can_rollback: can(req.user, "post:update", post),
+  });
+};
+
+// Restore the content of an earlier revision. The rollback is itself stored
+// as a new revision, so it can be undone the same way.
+const rollbackRevision = async (req, res) => {
+  const { post_type, post_id, revision_number } = req.params;
+
+  const connection = await dbConnection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Lock the post so concurrent edits get consecutive revision numbers
+    const post = await findPost(connection, post_type, post_id, true);
+    if (!post) {
+      throw new NotFoundError(`${POST_TYPES[post_type].label} not found`);
+    }
+
+    if (!can(req.user, "post:update", post)) {
+      throw new ForbiddenError(`Not authorized to edit this ${post_type}`);
+    }
+
+    const [revision] = await connection.query(
+      `SELECT title, body, tags FROM revisionTable
+      WHERE post_type = ? AND post_id = ? AND revision_number = ?`,
+      [post_type, post_id, revision_number]
+    );
+
+    if (revision.length === 0) {
+      throw new NotFoundError("Revision not found");
+    }
+
+    await ensureBaseline(connection, post_type, post_id);
+    await applyRevision(connection, post_type, post_id, revision[0]);
+    const created = await recordRevision(
+      connection,
+      post_type,
+      post_id,
+      req.user.userid,
+      `Rolled back to revision ${revision_number}`
+    );
+
+    await connection.commit();
+
+    return res.status(StatusCodes.OK).json({
+      message: created
+        ? `Rolled back to revision ${revision_number}`
+        : "The post already matches that revision",
+      revision_number: created,
+    });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = { getRevisions, rollbackRevision };
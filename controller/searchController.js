@@ -0,0 +1,179 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const {
+  parseSearchQuery,
+  toBooleanQuery,
+  likePattern,
+  exclusionConditions,
+  highlightPattern,
+  highlight,
+  makeSnippet,
+} = require("../utils/search");
+const {
+  normalizeTag,
+  splitTags,
+  QUESTION_TAGS_SQL,
+  HAS_TAG_SQL,
+} = require("../utils/tags");
+const { BadRequestError } = require("../utils/errors");
+
+// Search questions (and their answers) by relevance
+// Query: q (supports "quoted phrases", -excluded words, tag:<tag> and
+// user:<user_name>), page, limit
+async function searchQuestions(req, res) {
+  const raw = (req.query.q || "").trim();
+  const { page, limit, offset } = parsePagination(req.query);
+
+  const parsed = parseSearchQuery(raw);
+  const booleanQuery = toBooleanQuery(parsed);
+  const hasText = booleanQuery.length > 0;
+
+  if (
+    !hasText &&
+    !parsed.literals.length &&
+    !parsed.tags.length &&
+    !parsed.users.length
+  ) {
+    throw new BadRequestError(
+      "No searchable terms: words need at least 3 letters and can't be too common",
+      { code: "NO_SEARCHABLE_TERMS" }
+    );
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (hasText) {
+    conditions.push(`(
+      MATCH(q.title, q.question_description) AGAINST (? IN BOOLEAN MODE)
+      OR EXISTS (
+        SELECT 1 FROM answerTable a
+        WHERE a.question_id = q.question_id AND a.deletedAt IS NULL
+          AND MATCH(a.answer) AGAINST (? IN BOOLEAN MODE)
+      )
+    )`);
+    params.push(booleanQuery, booleanQuery);
+  }
+
+  // Terms with symbols (c++, node.js) aren't in the FULLTEXT index as typed
+  for (const literal of parsed.literals) {
+    conditions.push(`(
+      q.title LIKE ? OR q.question_description LIKE ?
+      OR EXISTS (
+        SELECT 1 FROM answerTable a
+        WHERE a.question_id = q.question_id AND a.deletedAt IS NULL
+          AND a.answer LIKE ?
+      )
+    )`);
+    const pattern = likePattern(literal);
+    params.push(pattern, pattern, pattern);
+  }
+
+  for (const tag of parsed.tags) {
+    conditions.push(HAS_TAG_SQL);
+    params.push(normalizeTag(tag));
+  }
+
+  for (const user of parsed.users) {
+    conditions.push("u.user_name = ?");
+    params.push(user);
+  }
+
+  // -word and -"phrase", whatever else the search has
+  const exclusions = exclusionConditions(parsed);
+  conditions.push(...exclusions.conditions);
+  params.push(...exclusions.params);
+
+  // Soft-deleted questions are not searchable
+  conditions.push("q.deletedAt IS NULL");
+  const where = `WHERE ${conditions.join(" AND ")}`;
+
+  // Title matches weigh more than body matches, answer matches the least
+  const scoreColumns = hasText
+    ? `MATCH(q.title) AGAINST (? IN BOOLEAN MODE) AS title_score,
+        MATCH(q.title, q.question_description) AGAINST (? IN BOOLEAN MODE) AS text_score,
+        (SELECT COALESCE(MAX(MATCH(a.answer) AGAINST (? IN BOOLEAN MODE)), 0)
+          FROM answerTable a
+          WHERE a.question_id = q.question_id AND a.deletedAt IS NULL) AS answer_score`
+    : "0 AS title_score, 0 AS text_score, 0 AS answer_score";
+  const scoreParams = hasText ? [booleanQuery, booleanQuery, booleanQuery] : [];
+
+  const [[{ total }]] = await dbConnection.query(
+    `SELECT COUNT(*) AS total
+    FROM questionTable q
+    INNER JOIN userTable u ON q.user_id = u.user_id
+    ${where}`,
+    params
+  );
+
+  const [rows] = await dbConnection.query(
+    `SELECT * FROM (
+      SELECT
+        q.question_id,
+        q.title,
+        q.question_description,
+        ${QUESTION_TAGS_SQL},
+        q.createdAt,
+        q.user_id,
+        q.score,
+        u.user_name,
+        u.reputation AS user_reputation,
+        (SELECT COUNT(*) FROM answerTable a
+          WHERE a.question_id = q.question_id AND a.deletedAt IS NULL) AS answer_count,
+        ${scoreColumns}
+      FROM questionTable q
+      INNER JOIN userTable u ON q.user_id = u.user_id
+      ${where}
+    ) results
+    ORDER BY (title_score * 3 + text_score + answer_score) DESC, createdAt DESC
+    LIMIT ? OFFSET ?`,
+    [...scoreParams, ...params, limit, offset]
+  );
+
+  // Best matching answer for each result, used for an answer snippet
+  const bestAnswers = {};
+  if (hasText && rows.length > 0) {
+    const [answers] = await dbConnection.query(
+      `SELECT question_id, answer,
+        MATCH(answer) AGAINST (? IN BOOLEAN MODE) AS score
+      FROM answerTable
+      WHERE question_id IN (?) AND deletedAt IS NULL
+        AND MATCH(answer) AGAINST (? IN BOOLEAN MODE)
+      ORDER BY score DESC`,
+      [booleanQuery, rows.map((row) => row.question_id), booleanQuery]
+    );
+    for (const answer of answers) {
+      if (!bestAnswers[answer.question_id]) {
+        bestAnswers[answer.question_id] = answer.answer;
+      }
+    }
+  }
+
+  const pattern = highlightPattern(parsed);
+  const results = rows.map((row) => ({
+    question_id: row.question_id,
+    title: row.title,
+    title_highlighted: highlight(row.title, pattern),
+    snippet: makeSnippet(row.question_description, pattern),
+    answer_snippet: bestAnswers[row.question_id]
+      ? makeSnippet(bestAnswers[row.question_id], pattern)
+      : null,
+    tags: splitTags(row.tags),
+    createdAt: row.createdAt,
+    user_id: row.user_id,
+    user_name: row.user_name,
+    user_reputation: row.user_reputation,
+    answer_count: row.answer_count,
+    score: row.score,
+    relevance: row.title_score * 3 + row.text_score + row.answer_score,
+  }));
+
+  return res.status(StatusCodes.OK).json({
+    results,
+    ...paginationMeta(total, { page, limit }),
+    query: parsed,
+  });
+}
+
+module.exports = { searchQuestions };
@@ -0,0 +1,76 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { parsePagination, paginationMeta } = require("../utils/pagination");
+const { normalizeTag } = require("../utils/tags");
+const { NotFoundError } = require("../utils/errors");
+
+// Sort options accepted by GET /api/tags (?sort=)
+const TAG_SORTS = {
+  popular: "question_count DESC, t.name ASC",
+  name: "t.name ASC",
+};
+
+// List tags with the number of questions using each one
+// Query: sort (popular | name), search (name prefix), page, limit
+const getAllTags = async (req, res) => {
+  const { page, limit, offset } = parsePagination(req.query, 30);
+  const sort = TAG_SORTS[req.query.sort] ? req.query.sort : "popular";
+  const search = normalizeTag(req.query.search);
+
+  const where = search ? "WHERE t.name LIKE ?" : "";
+  const params = search ? [`${search.replace(/[%_\\]/g, "\\$&")}%`] : [];
+
+  const [[{ total }]] = await dbConnection.query(
+    `SELECT COUNT(*) AS total FROM tagTable t ${where}`,
+    params
+  );
+
+  const [tags] = await dbConnection.query(
+    `SELECT 
+      t.tag_id,
+      t.name,
+      COUNT(q.question_id) AS question_count
+    FROM tagTable t
+    LEFT JOIN questionTagTable qt ON qt.tag_id = t.tag_id
+    LEFT JOIN questionTable q
+      ON q.question_id = qt.question_id AND q.deletedAt IS NULL
+    ${where}
+    GROUP BY t.tag_id, t.name
+    ORDER BY ${TAG_SORTS[sort]}
+    LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return res.status(StatusCodes.OK).json({
+    tags,
+    ...paginationMeta(total, { page, limit }),
+    sort,
+  });
+};
+
+// Get a single tag with its question count
+const getSingleTag = async (req, res) => {
+  const name = normalizeTag(req.params.tag);
+
+  const [rows] = await dbConnection.query(
+    `SELECT 
+      t.tag_id,
+      t.name,
+      COUNT(q.question_id) AS question_count
+    FROM tagTable t
+    LEFT JOIN questionTagTable qt ON qt.tag_id = t.tag_id
+    LEFT JOIN questionTable q
+      ON q.question_id = qt.question_id AND q.deletedAt IS NULL
+    WHERE t.name = ?
+    GROUP BY t.tag_id, t.name`,
+    [name]
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError("Tag not found");
+  }
+
+  return res.status(StatusCodes.OK).json(rows[0]);
+};
+
+module.exports = { getAllTags, getSingleTag };
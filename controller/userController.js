@@ -4,132 +4,391 @@ const bcrypt = require("bcrypt");
 const { StatusCodes } = require("http-status-codes");
 require("dotenv").config();
 
-const jwt = require("jsonwebtoken");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { sendMail } = require("../utils/mailer");
+const { logger } = require("../utils/logger");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const {
+  lockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../utils/loginLockout");
+const { retryAfterSeconds } = require("../utils/rateLimit");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../utils/errors");
+
+// Verification links stay valid for this many hours
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
+
+async function sendVerificationEmail(user, token) {
+  const link = `${CLIENT_URL}/verify-email/${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Evangadi Forum email address",
+    text: `Hi ${user.user_name},\n\nPlease confirm your email address by opening the link below. It expires in ${VERIFY_TOKEN_TTL_HOURS} hours.\n\n${link}\n\nIf you did not create an account you can ignore this email.`,
+  });
+}
 
 async function register(req, res) {
   const { username, firstname, lastname, email, password } = req.body;
+  const [user] = await dbConnection.query(
+    "SELECT user_name, user_id FROM userTable WHERE user_name = ? OR email = ?",
+    [username, email]
+  );
 
-  if (!email || !password || !firstname || !lastname || !username) {
-    return res
-      .status(StatusCodes.BAD_REQUEST)
-      .json({ msg: "please provide all required fields" });
+  if (user.length > 0) {
+    throw new BadRequestError("user already registered", {
+      code: "ALREADY_REGISTERED",
+    });
   }
 
-  // Add database logic here
+  // encrypt the password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const { token, hash } = generateToken();
+  await dbConnection.query(
+    `INSERT INTO userTable (user_name, first_name, last_name, email, password, verifyToken, verifyTokenExpire)
+     VALUES (?,?,?,?,?,?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [
+      username,
+      firstname,
+      lastname,
+      email,
+      hashedPassword,
+      hash,
+      VERIFY_TOKEN_TTL_HOURS,
+    ]
+  );
+
   try {
-    const [user] = await dbConnection.query(
-      "SELECT user_name, user_id FROM userTable WHERE user_name = ? OR email = ?",
-      [username, email]
-    );
+    await sendVerificationEmail({ email, user_name: username }, token);
+  } catch (mailError) {
+    // The account exists either way; the user can ask for a new email
+    logger.warn("Verification email failed", { err: mailError });
+  }
 
-    if (user.length > 0) {
-      return res
-        .status(StatusCodes.BAD_REQUEST)
-        .json({ msg: "user already registered" });
-    }
+  return res.status(StatusCodes.CREATED).json({ msg: "user table created" });
+}
 
-    if (password.length < 8) {
-      return res
-        .status(StatusCodes.BAD_REQUEST)
-        .json({ msg: "password must be at least 8 characters" });
-    }
+// Compared against when the email is unknown, so a missing account takes
+// as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
 
-    // encrypt the password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+// Minutes until a lockout ends, rounded up
+const minutesUntil = (time) =>
+  Math.max(1, Math.ceil((time - Date.now()) / 60000));
 
-    await dbConnection.query(
-      "INSERT INTO userTable (user_name, first_name, last_name, email, password) VALUES (?,?,?,?,?)",
-      [username, firstname, lastname, email, hashedPassword]
-    );
-    return res.status(StatusCodes.CREATED).json({ msg: "user table created" });
-  } catch (error) {
-    console.log(error.message);
-    return res
-      .status(StatusCodes.INTERNAL_SERVER_ERROR)
-      .json({ msg: "something went wrong, try again later!" });
-  }
+async function sendLockoutEmail(user, until) {
+  await sendMail({
+    to: user.email,
+    subject: "Your Evangadi Forum account was temporarily locked",
+    text: `Hi ${user.user_name},\n\nThere were several failed attempts to log in to your account, so logging in is blocked for the next ${minutesUntil(until)} minutes.\n\nIf this wasn't you, consider resetting your password: ${CLIENT_URL}/forget-password`,
+  });
 }
 
 async function login(req, res) {
   const { email, password } = req.body;
-  if (!email || !password) {
-    return res
-      .status(StatusCodes.BAD_REQUEST)
-      .json({ msg: "please provide all required fields" });
-  }
-  try {
-    const [user] = await dbConnection.query(
-      "SELECT user_name, user_id, password FROM userTable WHERE email = ?",
-      [email]
+
+  const locked = await lockedUntil(email);
+  if (locked) {
+    throw new TooManyRequestsError(
+      `Too many failed login attempts. Try again in ${minutesUntil(locked)} minutes.`,
+      retryAfterSeconds(locked),
+      { code: "ACCOUNT_LOCKED" }
     );
-    if (user.length === 0) {
-      return res
-        .status(StatusCodes.BAD_REQUEST)
-        .json({ msg: "user not found" });
-    }
-    const isMatch = await bcrypt.compare(password, user[0].password);
+  }
+
+  const [user] = await dbConnection.query(
+    "SELECT user_name, user_id, email, password, role FROM userTable WHERE email = ?",
+    [email]
+  );
+  const isMatch = await bcrypt.compare(
+    password,
+    user.length ? user[0].password : DUMMY_PASSWORD_HASH
+  );
 
-    if (!isMatch) {
-      return res
-        .status(StatusCodes.BAD_REQUEST)
-        .json({ msg: "invalid credentials" });
+  // Same answer for an unknown email and a wrong password
+  if (!user.length || !isMatch) {
+    const lockedNow = await recordFailedLogin(email);
+    if (lockedNow && user.length) {
+      sendLockoutEmail(user[0], lockedNow).catch((mailError) =>
+        logger.warn("Lockout email failed", { err: mailError })
+      );
     }
-    const username = user[0].user_name;
-    const userid = user[0].user_id;
-    const token = jwt.sign({ userid, username }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
+    throw new UnauthorizedError("invalid email or password", {
+      code: "INVALID_CREDENTIALS",
     });
-
-    return res.status(StatusCodes.OK).json({ msg: "login successful", token });
-  } catch (error) {
-    console.log(error.message);
-    return res
-      .status(StatusCodes.INTERNAL_SERVER_ERROR)
-      .json({ msg: "something went wrong, try again later!" });
   }
+
+  await clearFailedLogins(email);
+  const username = user[0].user_name;
+  const userid = user[0].user_id;
+  const role = user[0].role;
+  const { token, refreshToken } = await createSession(dbConnection, {
+    userid,
+    username,
+    role,
+    userAgent: req.headers["user-agent"],
+  });
+
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "login successful", token, refreshToken });
 }
 
 async function checkUser(req, res) {
   const username = req.user.username;
   const userid = req.user.userid;
 
-  res.status(StatusCodes.OK).json({ msg: "valid user", username, userid });
+  const [user] = await dbConnection.query(
+    "SELECT reputation, email_verified, role FROM userTable WHERE user_id = ?",
+    [userid]
+  );
+
+  res.status(StatusCodes.OK).json({
+    msg: "valid user",
+    username,
+    userid,
+    reputation: user[0]?.reputation ?? 0,
+    email_verified: Boolean(user[0]?.email_verified),
+    role: user[0]?.role ?? "user",
+  });
 }
 
+// Reset links stay valid for this many minutes
+const RESET_TOKEN_TTL_MINUTES =
+  Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
 async function forgetPassword(req, res) {
   const { email } = req.body;
 
-  if (!email) {
-    return res
-      .status(StatusCodes.BAD_REQUEST)
-      .json({ msg: "Email is required" });
-  }
+  const [user] = await dbConnection.query(
+    "SELECT user_id, user_name, email FROM userTable WHERE email = ?",
+    [email]
+  );
 
-  try {
-    const [user] = await dbConnection.query(
-      "SELECT user_id FROM userTable WHERE email = ?",
-      [email]
+  if (user.length > 0) {
+    // Only the hash is stored; a new request replaces any older link
+    const { token, hash } = generateToken();
+    await dbConnection.query(
+      `UPDATE userTable
+       SET resetToken = ?, resetTokenExpire = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       WHERE user_id = ?`,
+      [hash, RESET_TOKEN_TTL_MINUTES, user[0].user_id]
     );
 
-    if (user.length === 0) {
-      // Don't reveal if email exists or not for security
-      return res.status(StatusCodes.OK).json({
-        msg: "If the email exists, a reset link has been sent",
+    const link = `${CLIENT_URL}/reset-password/${token}`;
+    try {
+      await sendMail({
+        to: user[0].email,
+        subject: "Reset your Evangadi Forum password",
+        text: `Hi ${user[0].user_name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for a password reset you can ignore this email.`,
       });
+    } catch (mailError) {
+      // Failing the request would tell the caller the account exists
+      logger.error("Password reset email failed", { err: mailError });
     }
+  }
 
-    // TODO: Generate reset token and send email
-    // For now, just return success message
-    return res.status(StatusCodes.OK).json({
-      msg: "If the email exists, a reset link has been sent",
+  // Same answer whether or not the email exists, for security
+  return res.status(StatusCodes.OK).json({
+    msg: "If the email exists, a reset link has been sent",
+  });
+}
+
+// Let the reset page tell an invalid/expired link apart before the user
+// types a new password
+async function checkResetToken(req, res) {
+  const { token } = req.params;
+
+  const [user] = await dbConnection.query(
+    "SELECT user_id FROM userTable WHERE resetToken = ? AND resetTokenExpire > NOW()",
+    [hashToken(token)]
+  );
+
+  if (user.length === 0) {
+    throw new BadRequestError("This reset link is invalid or has expired", {
+      code: "INVALID_LINK",
     });
-  } catch (error) {
-    console.log(error.message);
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      msg: "Something went wrong, try again later!",
+  }
+
+  return res.status(StatusCodes.OK).json({ msg: "valid reset link" });
+}
+
+async function resetPassword(req, res) {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const [user] = await dbConnection.query(
+    "SELECT user_id FROM userTable WHERE resetToken = ? AND resetTokenExpire > NOW()",
+    [hashToken(token)]
+  );
+
+  // Matching and clearing the token in one statement makes it single use
+  const [result] = await dbConnection.query(
+    `UPDATE userTable
+     SET password = ?, resetToken = NULL, resetTokenExpire = NULL
+     WHERE resetToken = ? AND resetTokenExpire > NOW()`,
+    [hashedPassword, hashToken(token)]
+  );
+
+  if (user.length === 0 || result.affectedRows === 0) {
+    throw new BadRequestError("This reset link is invalid or has expired", {
+      code: "INVALID_LINK",
+    });
+  }
+
+  // Whoever knew the old password must not stay logged in
+  await revokeAllSessions(dbConnection, user[0].user_id);
+
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "Password has been reset, you can now log in" });
+}
+
+async function verifyEmail(req, res) {
+  const { token } = req.params;
+
+  const [result] = await dbConnection.query(
+    `UPDATE userTable
+     SET email_verified = 1, verifyToken = NULL, verifyTokenExpire = NULL
+     WHERE verifyToken = ? AND verifyTokenExpire > NOW()`,
+    [hashToken(token)]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new BadRequestError(
+      "This verification link is invalid or has expired",
+      { code: "INVALID_LINK" }
+    );
+  }
+
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "Your email address has been verified" });
+}
+
+async function resendVerification(req, res) {
+  const userid = req.user.userid;
+
+  const [user] = await dbConnection.query(
+    "SELECT user_name, email, email_verified FROM userTable WHERE user_id = ?",
+    [userid]
+  );
+
+  if (user.length === 0) {
+    throw new NotFoundError("user not found");
+  }
+
+  if (user[0].email_verified) {
+    throw new BadRequestError("Your email address is already verified", {
+      code: "ALREADY_VERIFIED",
     });
   }
+
+  // A new link replaces the previous one
+  const { token, hash } = generateToken();
+  await dbConnection.query(
+    `UPDATE userTable
+     SET verifyToken = ?, verifyTokenExpire = DATE_ADD(NOW(), INTERVAL ? HOUR)
+     WHERE user_id = ?`,
+    [hash, VERIFY_TOKEN_TTL_HOURS, userid]
+  );
+  await sendVerificationEmail(user[0], token);
+
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "A new verification email has been sent" });
+}
+
+// Exchange a refresh token for a new access token; the refresh token is
+// rotated, so the response carries a new one as well
+async function refreshToken(req, res) {
+  const { refreshToken } = req.body || {};
+
+  const connection = await dbConnection.getConnection();
+  try {
+    const tokens = await rotateSession(connection, refreshToken);
+
+    if (!tokens) {
+      throw new UnauthorizedError("Session expired, please log in again", {
+        code: "SESSION_EXPIRED",
+      });
+    }
+
+    return res
+      .status(StatusCodes.OK)
+      .json({ msg: "token refreshed", ...tokens });
+  } finally {
+    connection.release();
+  }
+}
+
+// Revoke the current session. Works with an expired access token, since only
+// the refresh token is needed.
+async function logout(req, res) {
+  const { refreshToken } = req.body || {};
+
+  await revokeSession(dbConnection, refreshToken);
+  return res.status(StatusCodes.OK).json({ msg: "logged out" });
+}
+
+// Revoke every session of the current user
+async function logoutAll(req, res) {
+  const sessions = await revokeAllSessions(dbConnection, req.user.userid);
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "logged out from all devices", sessions });
+}
+
+// Admins change a user's role - body: { role: "user" | "moderator" | "admin" }
+async function setUserRole(req, res) {
+  const { user_id } = req.params;
+  const { role } = req.body || {};
+
+  if (parseInt(user_id, 10) === req.user.userid) {
+    throw new BadRequestError("You cannot change your own role");
+  }
+
+  const [result] = await dbConnection.query(
+    "UPDATE userTable SET role = ? WHERE user_id = ?",
+    [role, user_id]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new NotFoundError("user not found");
+  }
+
+  return res
+    .status(StatusCodes.OK)
+    .json({ msg: "role updated", user_id: Number(user_id), role });
 }
 
-module.exports = { register, login, checkUser, forgetPassword };
+module.exports = {
+  register,
+  login,
+  checkUser,
+  forgetPassword,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
+  logoutAll,
+  setUserRole,
+};
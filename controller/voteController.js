@@ -0,0 +1,103 @@
+const { StatusCodes } = require("http-status-codes");
+const dbConnection = require("../db/dbConfig");
+const { POST_TYPES, findPost } = require("../utils/posts");
+const { recordVoteReputation } = require("../utils/reputation");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// Set (1 / -1) or clear (null) the user's vote on a post inside a transaction
+// and keep the post's cached score and the owner's reputation in step.
+// Returns the response body.
+const applyVote = async (userid, postType, postId, value) => {
+  const { table, idColumn, label } = POST_TYPES[postType];
+  const connection = await dbConnection.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const post = await findPost(connection, postType, postId, true);
+
+    if (!post) {
+      throw new NotFoundError(`${label} not found`);
+    }
+
+    if (post.user_id === userid) {
+      throw new ForbiddenError("You cannot vote on your own post");
+    }
+
+    const [existing] = await connection.query(
+      "SELECT value FROM voteTable WHERE user_id = ? AND post_type = ? AND post_id = ? FOR UPDATE",
+      [userid, postType, postId]
+    );
+    const previous = existing.length ? existing[0].value : 0;
+
+    if (value === null) {
+      await connection.query(
+        "DELETE FROM voteTable WHERE user_id = ? AND post_type = ? AND post_id = ?",
+        [userid, postType, postId]
+      );
+    } else {
+      // An upsert, so two first votes sent at once can't both insert and
+      // fail the second on the unique key
+      await connection.query(
+        `INSERT INTO voteTable (user_id, post_type, post_id, value) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = VALUES(value)`,
+        [userid, postType, postId, value]
+      );
+    }
+
+    // Keep the post owner's reputation ledger in step with the vote
+    await recordVoteReputation(connection, {
+      voterId: userid,
+      ownerId: post.user_id,
+      postType,
+      postId,
+      value,
+    });
+
+    const delta = (value || 0) - previous;
+    if (delta !== 0) {
+      await connection.query(
+        `UPDATE ${table} SET score = score + ? WHERE ${idColumn} = ?`,
+        [delta, postId]
+      );
+    }
+
+    const [[{ score }]] = await connection.query(
+      `SELECT score FROM ${table} WHERE ${idColumn} = ?`,
+      [postId]
+    );
+
+    await connection.commit();
+    return {
+      message: value === null ? "Vote removed" : "Vote recorded",
+      score,
+      my_vote: value,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Cast or change a vote - body: { value: 1 | -1 }
+const castVote = async (req, res) => {
+  const userid = req.user?.userid;
+  const { post_type, post_id } = req.params;
+  const value = Number(req.body?.value);
+
+  const body = await applyVote(userid, post_type, post_id, value);
+  return res.status(StatusCodes.OK).json(body);
+};
+
+// Retract the current user's vote on a post
+const retractVote = async (req, res) => {
+  const userid = req.user?.userid;
+  const { post_type, post_id } = req.params;
+
+  const body = await applyVote(userid, post_type, post_id, null);
+  return res.status(StatusCodes.OK).json(body);
+};
+
+module.exports = { castVote, retractVote };
@@ -1,4 +1,5 @@
 const mysql2 = require("mysql2");
+const { logger } = require("../utils/logger");
 require("dotenv").config();
 
 const dbConnection = mysql2.createPool({
@@ -9,12 +10,8 @@ const dbConnection = mysql2.createPool({
   connectionLimit: 10,
 });
 
-dbConnection.execute("SELECT 'test'", (err, result) => {
-  if (err) {
-    console.log(err.message);
-  } else {
-    console.log(result);
-  }
+dbConnection.execute("SELECT 'test'", (err) => {
+  if (err) logger.error("Database check failed", { err });
 });
 
 module.exports = dbConnection.promise();
@@ -0,0 +1,71 @@
+// Schema helpers for migrations. MySQL has no ADD COLUMN IF NOT EXISTS, so
+// these check information_schema first; that way a migration also works on
+// databases that were created by the old /create-table route and already
+// have some of its changes.
+
+async function tableExists(connection, table) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.TABLES
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// `definition` is the column definition, e.g. "INT NOT NULL DEFAULT 0"
+async function addColumn(connection, table, column, definition) {
+  if (await columnExists(connection, table, column)) return;
+  await connection.query(
+    `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`
+  );
+}
+
+async function dropColumn(connection, table, column) {
+  if (!(await columnExists(connection, table, column))) return;
+  await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+// `definition` is everything after ADD, e.g. "INDEX idx_x (col)" or
+// "FULLTEXT INDEX ft_x (col)"; `index` must be the name used in it
+async function addIndex(connection, table, index, definition) {
+  if (await indexExists(connection, table, index)) return;
+  await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+}
+
+async function dropIndex(connection, table, index) {
+  if (!(await indexExists(connection, table, index))) return;
+  await connection.query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+}
+
+async function dropTable(connection, table) {
+  await connection.query(`DROP TABLE IF EXISTS ${table}`);
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+  indexExists,
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+  dropTable,
+};
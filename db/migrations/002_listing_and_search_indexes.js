@@ -0,0 +1,53 @@
+// Indexes for sorted question/answer listings and FULLTEXT search
+const { addIndex, dropIndex, indexExists } = require("../migrationHelpers");
+
+async function up(connection) {
+  await addIndex(
+    connection,
+    "questionTable",
+    "idx_question_created",
+    "INDEX idx_question_created (createdAt)"
+  );
+  await addIndex(
+    connection,
+    "answerTable",
+    "idx_answer_question_created",
+    "INDEX idx_answer_question_created (question_id, createdAt)"
+  );
+  await addIndex(
+    connection,
+    "questionTable",
+    "ft_question_title",
+    "FULLTEXT INDEX ft_question_title (title)"
+  );
+  await addIndex(
+    connection,
+    "questionTable",
+    "ft_question_text",
+    "FULLTEXT INDEX ft_question_text (title, question_description)"
+  );
+  await addIndex(
+    connection,
+    "answerTable",
+    "ft_answer",
+    "FULLTEXT INDEX ft_answer (answer)"
+  );
+}
+
+async function down(connection) {
+  await dropIndex(connection, "answerTable", "ft_answer");
+  await dropIndex(connection, "questionTable", "ft_question_text");
+  await dropIndex(connection, "questionTable", "ft_question_title");
+
+  // MySQL drops the foreign key's own index on answerTable.question_id once
+  // the composite index covers it; put it back before removing ours
+  if (!(await indexExists(connection, "answerTable", "question_id"))) {
+    await connection.query(
+      "ALTER TABLE answerTable ADD INDEX question_id (question_id)"
+    );
+  }
+  await dropIndex(connection, "answerTable", "idx_answer_question_created");
+  await dropIndex(connection, "questionTable", "idx_question_created");
+}
+
+module.exports = { up, down };
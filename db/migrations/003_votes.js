@@ -0,0 +1,54 @@
+// Up/down votes on questions and answers; score caches the vote sum
+const {
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+  dropTable,
+} = require("../migrationHelpers");
+
+async function up(connection) {
+  await addColumn(
+    connection,
+    "questionTable",
+    "score",
+    "INT NOT NULL DEFAULT 0"
+  );
+  await addIndex(
+    connection,
+    "questionTable",
+    "idx_question_score",
+    "INDEX idx_question_score (score)"
+  );
+  await addColumn(connection, "answerTable", "score", "INT NOT NULL DEFAULT 0");
+  await addIndex(
+    connection,
+    "answerTable",
+    "idx_answer_question_score",
+    "INDEX idx_answer_question_score (question_id, score)"
+  );
+
+  // One vote per user per post; value is 1 (up) or -1 (down)
+  await connection.query(`CREATE TABLE IF NOT EXISTS voteTable (
+    vote_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    post_type ENUM('question', 'answer') NOT NULL,
+    post_id INT NOT NULL,
+    value TINYINT NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_vote_user_post (user_id, post_type, post_id),
+    INDEX idx_vote_post (post_type, post_id),
+    FOREIGN KEY (user_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "voteTable");
+  await dropIndex(connection, "answerTable", "idx_answer_question_score");
+  await dropColumn(connection, "answerTable", "score");
+  await dropIndex(connection, "questionTable", "idx_question_score");
+  await dropColumn(connection, "questionTable", "score");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// The answer a question's owner accepted as the solution
+const {
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+} = require("../migrationHelpers");
+
+async function up(connection) {
+  await addColumn(
+    connection,
+    "questionTable",
+    "accepted_answer_id",
+    "INT DEFAULT NULL"
+  );
+  await addIndex(
+    connection,
+    "questionTable",
+    "idx_question_accepted",
+    "INDEX idx_question_accepted (accepted_answer_id)"
+  );
+}
+
+async function down(connection) {
+  await dropIndex(connection, "questionTable", "idx_question_accepted");
+  await dropColumn(connection, "questionTable", "accepted_answer_id");
+}
+
+module.exports = { up, down };
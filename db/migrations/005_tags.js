@@ -0,0 +1,96 @@
+// Replace the single questionTable.tag column with shared tags
+const {
+  columnExists,
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+  dropTable,
+} = require("../migrationHelpers");
+
+// Tag names as utils/tags.js normalizes them at the time of this migration,
+// copied here so the migration keeps doing the same thing when the app's
+// rules change later
+function normalizeTag(raw) {
+  const tag = String(raw || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{M}\p{N}+#.-]/gu, "")
+    .replace(/-+/g, "-")
+    .replace(/^-+|[-.]+$/g, "");
+  return Array.from(tag).slice(0, 40).join("");
+}
+
+// The old field was free text; commas separate tags like in the new form
+function parseTags(text) {
+  return [...new Set(String(text).split(",").map(normalizeTag))].filter(
+    Boolean
+  );
+}
+
+async function up(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS tagTable (
+    tag_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(40) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_tag_name (name)
+  )`);
+
+  await connection.query(`CREATE TABLE IF NOT EXISTS questionTagTable (
+    question_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    PRIMARY KEY (question_id, tag_id),
+    INDEX idx_question_tag_tag (tag_id),
+    FOREIGN KEY (question_id) REFERENCES questionTable(question_id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tagTable(tag_id) ON DELETE CASCADE
+  )`);
+
+  if (!(await columnExists(connection, "questionTable", "tag"))) return;
+
+  // Carry the old free-text tags over, normalized like new tags so they
+  // match what the app looks up
+  const [questions] = await connection.query(
+    "SELECT question_id, tag FROM questionTable WHERE tag IS NOT NULL AND TRIM(tag) <> ''"
+  );
+  for (const question of questions) {
+    const tags = parseTags(question.tag);
+    if (tags.length === 0) continue;
+
+    await connection.query("INSERT IGNORE INTO tagTable (name) VALUES ?", [
+      tags.map((tag) => [tag]),
+    ]);
+    await connection.query(
+      `INSERT IGNORE INTO questionTagTable (question_id, tag_id)
+      SELECT ?, tag_id FROM tagTable WHERE name IN (?)`,
+      [question.question_id, tags]
+    );
+  }
+
+  await dropIndex(connection, "questionTable", "idx_question_tag");
+  await dropColumn(connection, "questionTable", "tag");
+}
+
+async function down(connection) {
+  await addColumn(connection, "questionTable", "tag", "VARCHAR(40)");
+  await addIndex(
+    connection,
+    "questionTable",
+    "idx_question_tag",
+    "INDEX idx_question_tag (tag)"
+  );
+
+  // Only one tag fits; keep the first alphabetically
+  await connection.query(
+    `UPDATE questionTable q SET q.tag = (
+      SELECT MIN(t.name) FROM questionTagTable qt
+      JOIN tagTable t ON t.tag_id = qt.tag_id
+      WHERE qt.question_id = q.question_id
+    )`
+  );
+
+  await dropTable(connection, "questionTagTable");
+  await dropTable(connection, "tagTable");
+}
+
+module.exports = { up, down };
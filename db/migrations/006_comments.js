@@ -0,0 +1,22 @@
+// Short remarks attached to a question or an answer
+const { dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS commentTable (
+    comment_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    post_type ENUM('question', 'answer') NOT NULL,
+    post_id INT NOT NULL,
+    body VARCHAR(600) NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updatedAt TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_comment_post (post_type, post_id, createdAt),
+    FOREIGN KEY (user_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "commentTable");
+}
+
+module.exports = { up, down };
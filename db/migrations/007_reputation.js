@@ -0,0 +1,72 @@
+// Ledger of reputation changes; userTable.reputation caches the sum.
+// Votes and accepted answers from before the ledger are credited into it.
+// The points are written out here as utils/reputation.js had them when this
+// migration was added (question vote +5/-2, answer vote +10/-2, accepted
+// answer +15); later changes to them don't apply to this backfill.
+const { addColumn, dropColumn, dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await addColumn(
+    connection,
+    "userTable",
+    "reputation",
+    "INT NOT NULL DEFAULT 0"
+  );
+
+  await connection.query(`CREATE TABLE IF NOT EXISTS reputationTable (
+    rep_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    actor_id INT DEFAULT NULL,
+    event_type ENUM('question_upvote', 'question_downvote', 'answer_upvote', 'answer_downvote', 'answer_accepted') NOT NULL,
+    post_type ENUM('question', 'answer') NOT NULL,
+    post_id INT NOT NULL,
+    points INT NOT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reputation_user (user_id),
+    INDEX idx_reputation_post (post_type, post_id),
+    FOREIGN KEY (user_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+
+  // Only into a new ledger, so running up() again credits nothing twice
+  const [[{ events }]] = await connection.query(
+    "SELECT COUNT(*) AS events FROM reputationTable"
+  );
+  if (events > 0) return;
+
+  await connection.query(
+    `INSERT INTO reputationTable (user_id, actor_id, event_type, post_type, post_id, points)
+     SELECT q.user_id, v.user_id,
+       IF(v.value > 0, 'question_upvote', 'question_downvote'),
+       'question', q.question_id, IF(v.value > 0, 5, -2)
+     FROM voteTable v
+     JOIN questionTable q ON v.post_type = 'question' AND q.question_id = v.post_id`
+  );
+  await connection.query(
+    `INSERT INTO reputationTable (user_id, actor_id, event_type, post_type, post_id, points)
+     SELECT a.user_id, v.user_id,
+       IF(v.value > 0, 'answer_upvote', 'answer_downvote'),
+       'answer', a.answer_id, IF(v.value > 0, 10, -2)
+     FROM voteTable v
+     JOIN answerTable a ON v.post_type = 'answer' AND a.answer_id = v.post_id`
+  );
+  // Accepting your own answer earns nothing
+  await connection.query(
+    `INSERT INTO reputationTable (user_id, actor_id, event_type, post_type, post_id, points)
+     SELECT a.user_id, q.user_id, 'answer_accepted', 'answer', a.answer_id, 15
+     FROM questionTable q
+     JOIN answerTable a ON a.answer_id = q.accepted_answer_id
+     WHERE a.user_id <> q.user_id`
+  );
+
+  await connection.query(
+    `UPDATE userTable u
+     SET reputation = (SELECT COALESCE(SUM(r.points), 0) FROM reputationTable r WHERE r.user_id = u.user_id)`
+  );
+}
+
+async function down(connection) {
+  await dropTable(connection, "reputationTable");
+  await dropColumn(connection, "userTable", "reputation");
+}
+
+module.exports = { up, down };
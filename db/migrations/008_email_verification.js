@@ -0,0 +1,43 @@
+// Email verification tokens and status
+const { columnExists, addColumn, dropColumn } = require("../migrationHelpers");
+
+async function up(connection) {
+  const hadColumn = await columnExists(
+    connection,
+    "userTable",
+    "email_verified"
+  );
+
+  await addColumn(
+    connection,
+    "userTable",
+    "email_verified",
+    "TINYINT(1) NOT NULL DEFAULT 0"
+  );
+  await addColumn(
+    connection,
+    "userTable",
+    "verifyToken",
+    "VARCHAR(255) DEFAULT NULL"
+  );
+  await addColumn(
+    connection,
+    "userTable",
+    "verifyTokenExpire",
+    "DATETIME DEFAULT NULL"
+  );
+
+  // Accounts created before verification existed were never sent a link;
+  // don't lock them out of posting when REQUIRE_EMAIL_VERIFICATION is on
+  if (!hadColumn) {
+    await connection.query("UPDATE userTable SET email_verified = 1");
+  }
+}
+
+async function down(connection) {
+  await dropColumn(connection, "userTable", "verifyTokenExpire");
+  await dropColumn(connection, "userTable", "verifyToken");
+  await dropColumn(connection, "userTable", "email_verified");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// One row per login; the refresh token is stored hashed and rotated on use
+const { dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS sessionTable (
+    session_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_token_hash CHAR(64) DEFAULT NULL,
+    user_agent VARCHAR(255) DEFAULT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME DEFAULT NULL,
+    last_used_at DATETIME DEFAULT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_session_token (refresh_token_hash),
+    INDEX idx_session_previous_token (previous_token_hash),
+    INDEX idx_session_user (user_id),
+    FOREIGN KEY (user_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "sessionTable");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// User roles for moderation and administration
+const { addColumn, dropColumn } = require("../migrationHelpers");
+
+async function up(connection) {
+  await addColumn(
+    connection,
+    "userTable",
+    "role",
+    "ENUM('user', 'moderator', 'admin') NOT NULL DEFAULT 'user'"
+  );
+}
+
+async function down(connection) {
+  await dropColumn(connection, "userTable", "role");
+}
+
+module.exports = { up, down };
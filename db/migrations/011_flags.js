@@ -0,0 +1,44 @@
+// Content flags, warnings and suspensions
+const { addColumn, dropColumn, dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await addColumn(
+    connection,
+    "userTable",
+    "warning_count",
+    "INT NOT NULL DEFAULT 0"
+  );
+  await addColumn(
+    connection,
+    "userTable",
+    "suspended_until",
+    "DATETIME DEFAULT NULL"
+  );
+
+  // Reports of spam/abuse; target_type + target_id point at a question,
+  // an answer or a user
+  await connection.query(`CREATE TABLE IF NOT EXISTS flagTable (
+    flag_id INT AUTO_INCREMENT PRIMARY KEY,
+    reporter_id INT NOT NULL,
+    target_type ENUM('question', 'answer', 'user') NOT NULL,
+    target_id INT NOT NULL,
+    reason ENUM('spam', 'abuse', 'off_topic', 'other') NOT NULL,
+    details VARCHAR(500) DEFAULT NULL,
+    status ENUM('open', 'dismissed', 'actioned') NOT NULL DEFAULT 'open',
+    resolution VARCHAR(20) DEFAULT NULL,
+    resolved_by INT DEFAULT NULL,
+    resolved_at DATETIME DEFAULT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_flag_status_created (status, createdAt),
+    INDEX idx_flag_target (target_type, target_id),
+    FOREIGN KEY (reporter_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "flagTable");
+  await dropColumn(connection, "userTable", "suspended_until");
+  await dropColumn(connection, "userTable", "warning_count");
+}
+
+module.exports = { up, down };
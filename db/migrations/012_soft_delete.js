@@ -0,0 +1,30 @@
+// Soft delete for questions and answers
+const {
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+} = require("../migrationHelpers");
+
+const TABLES = [
+  { table: "questionTable", index: "idx_question_deleted" },
+  { table: "answerTable", index: "idx_answer_deleted" },
+];
+
+async function up(connection) {
+  for (const { table, index } of TABLES) {
+    await addColumn(connection, table, "deletedAt", "DATETIME DEFAULT NULL");
+    await addColumn(connection, table, "deletedBy", "INT DEFAULT NULL");
+    await addIndex(connection, table, index, `INDEX ${index} (deletedAt)`);
+  }
+}
+
+async function down(connection) {
+  for (const { table, index } of TABLES) {
+    await dropIndex(connection, table, index);
+    await dropColumn(connection, table, "deletedBy");
+    await dropColumn(connection, table, "deletedAt");
+  }
+}
+
+module.exports = { up, down };
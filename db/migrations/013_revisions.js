@@ -0,0 +1,26 @@
+// Every saved version of a question or an answer. Revision 1 is the
+// original post; tags are stored as "a,b,c" (questions only).
+const { dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS revisionTable (
+    revision_id INT AUTO_INCREMENT PRIMARY KEY,
+    post_type ENUM('question', 'answer') NOT NULL,
+    post_id INT NOT NULL,
+    revision_number INT NOT NULL,
+    title VARCHAR(200) DEFAULT NULL,
+    body TEXT NOT NULL,
+    tags VARCHAR(255) DEFAULT NULL,
+    editor_id INT NOT NULL,
+    summary VARCHAR(300) DEFAULT NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_revision_post_number (post_type, post_id, revision_number),
+    FOREIGN KEY (editor_id) REFERENCES userTable(user_id) ON DELETE CASCADE
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "revisionTable");
+}
+
+module.exports = { up, down };
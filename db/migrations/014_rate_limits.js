@@ -0,0 +1,17 @@
+// Rate limit counters for RATE_LIMIT_STORE=mysql; reset_at is in epoch ms
+const { dropTable } = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS rateLimitTable (
+    bucket VARCHAR(255) NOT NULL PRIMARY KEY,
+    hits INT NOT NULL DEFAULT 0,
+    reset_at BIGINT NOT NULL,
+    INDEX idx_rate_limit_reset (reset_at)
+  )`);
+}
+
+async function down(connection) {
+  await dropTable(connection, "rateLimitTable");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// One ledger row per reputation event: a voter's vote or an answer's
+// acceptance can only be credited once. Duplicates left by earlier bugs are
+// removed (keeping the oldest) and the cached totals recomputed.
+const { addIndex, dropIndex } = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(
+    `DELETE newer FROM reputationTable newer
+     JOIN reputationTable older
+       ON older.event_type = newer.event_type
+      AND older.post_type = newer.post_type
+      AND older.post_id = newer.post_id
+      AND older.actor_id <=> newer.actor_id
+      AND older.rep_id < newer.rep_id`
+  );
+  await connection.query(
+    `UPDATE userTable u
+     SET reputation = (SELECT COALESCE(SUM(r.points), 0) FROM reputationTable r WHERE r.user_id = u.user_id)`
+  );
+
+  await addIndex(
+    connection,
+    "reputationTable",
+    "uq_reputation_event",
+    "UNIQUE INDEX uq_reputation_event (event_type, post_type, post_id, actor_id)"
+  );
+}
+
+async function down(connection) {
+  await dropIndex(connection, "reputationTable", "uq_reputation_event");
+}
+
+module.exports = { up, down };
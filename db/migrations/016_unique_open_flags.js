@@ -0,0 +1,44 @@
+// One open flag per reporter and target. open_flag is 1 while a flag is open
+// and NULL once it's resolved, so the unique index ignores resolved flags and
+// the same user can flag the target again later. Open duplicates left from
+// before are dismissed, keeping the oldest.
+const {
+  addColumn,
+  dropColumn,
+  addIndex,
+  dropIndex,
+} = require("../migrationHelpers");
+
+async function up(connection) {
+  await connection.query(
+    `UPDATE flagTable newer
+     JOIN flagTable older
+       ON older.reporter_id = newer.reporter_id
+      AND older.target_type = newer.target_type
+      AND older.target_id = newer.target_id
+      AND older.status = 'open'
+      AND older.flag_id < newer.flag_id
+     SET newer.status = 'dismissed'
+     WHERE newer.status = 'open'`
+  );
+
+  await addColumn(
+    connection,
+    "flagTable",
+    "open_flag",
+    "TINYINT AS (IF(status = 'open', 1, NULL)) STORED"
+  );
+  await addIndex(
+    connection,
+    "flagTable",
+    "uq_flag_open",
+    "UNIQUE INDEX uq_flag_open (reporter_id, target_type, target_id, open_flag)"
+  );
+}
+
+async function down(connection) {
+  await dropIndex(connection, "flagTable", "uq_flag_open");
+  await dropColumn(connection, "flagTable", "open_flag");
+}
+
+module.exports = { up, down };
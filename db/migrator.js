@@ -0,0 +1,160 @@
+// Versioned schema migrations. Each file in db/migrations is named
+// NNN_description.js and exports async up(connection) and down(connection);
+// applied versions are recorded in schema_migrations.
+const fs = require("fs");
+const path = require("path");
+const { tableExists } = require("./migrationHelpers");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+// Only one runner at a time, e.g. when several instances deploy at once
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// All migration files, oldest first, as { version, up, down }
+function loadMigrations() {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const seen = new Set();
+  return files.map((file) => {
+    const number = file.match(MIGRATION_FILE)[1];
+    if (seen.has(number)) {
+      throw new Error(`Duplicate migration number ${number} (${file})`);
+    }
+    seen.add(number);
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    if (
+      typeof migration.up !== "function" ||
+      typeof migration.down !== "function"
+    ) {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    return { version: path.basename(file, ".js"), ...migration };
+  });
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) NOT NULL PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+// Applied versions as a Map of version -> applied_at
+async function appliedVersions(connection) {
+  await ensureMigrationsTable(connection);
+  const [rows] = await connection.query(
+    "SELECT version, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((row) => [row.version, row.applied_at]));
+}
+
+// Run `fn` on a dedicated connection while holding the migration lock
+async function withLock(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await connection.query(
+      "SELECT GET_LOCK(?, ?) AS locked",
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+    if (locked !== 1) {
+      throw new Error("Another migration run is in progress");
+    }
+
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Apply every pending migration in order. MySQL commits DDL implicitly, so a
+// failed migration stops the run and is left unrecorded; fix it and run
+// again (the schema helpers make re-running safe). Returns the versions
+// applied.
+async function migrate(pool, { log = console.log } = {}) {
+  return withLock(pool, async (connection) => {
+    const applied = await appliedVersions(connection);
+    const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}`);
+      await migration.up(connection);
+      await connection.query(
+        "INSERT INTO schema_migrations (version) VALUES (?)",
+        [migration.version]
+      );
+    }
+
+    return pending.map((m) => m.version);
+  });
+}
+
+// Undo the last `steps` applied migrations, newest first. Returns the
+// versions rolled back.
+async function rollback(pool, { steps = 1, log = console.log } = {}) {
+  return withLock(pool, async (connection) => {
+    const applied = await appliedVersions(connection);
+    const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+    const versions = [...applied.keys()].sort().reverse().slice(0, steps);
+
+    for (const version of versions) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`No migration file for applied version ${version}`);
+      }
+
+      log(`Rolling back ${version}`);
+      await migration.down(connection);
+      await connection.query(
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [version]
+      );
+    }
+
+    return versions;
+  });
+}
+
+// Every known version as { version, applied_at, missing }. applied_at is null
+// for pending migrations; missing marks applied versions whose file is gone.
+async function status(pool) {
+  const connection = await pool.getConnection();
+  try {
+    const applied = await appliedVersions(connection);
+    const files = loadMigrations().map((m) => m.version);
+    const versions = [...new Set([...files, ...applied.keys()])].sort();
+
+    return versions.map((version) => ({
+      version,
+      applied_at: applied.get(version) || null,
+      missing: !files.includes(version),
+    }));
+  } finally {
+    connection.release();
+  }
+}
+
+// Versions that haven't been applied yet. Read-only, for the startup check:
+// without a schema_migrations table every migration is pending.
+async function pendingMigrations(pool) {
+  const versions = loadMigrations().map((m) => m.version);
+  if (!(await tableExists(pool, "schema_migrations"))) return versions;
+
+  const [rows] = await pool.query("SELECT version FROM schema_migrations");
+  const applied = new Set(rows.map((row) => row.version));
+  return versions.filter((version) => !applied.has(version));
+}
+
+module.exports = { migrate, rollback, status, pendingMigrations };
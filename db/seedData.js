@@ -0,0 +1,384 @@
+// Deterministic fake data for local development. The same seed and size
+// always produce the same users, questions, answers and votes (dates are
+// relative to `now`), so bugs found against a seeded database can be
+// reproduced by someone else. Used by scripts/seed.js.
+
+// Every seeded account logs in with this password; user1 is an admin and
+// user2 a moderator
+const SEED_PASSWORD = "password123";
+const SEED_EMAIL_DOMAIN = "seed.evangadi.test";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small fast PRNG (mulberry32); returns helpers driven by one seed
+function createRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+  }
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+
+  // `count` distinct items from the list
+  const sample = (list, count) => {
+    const copy = [...list];
+    const result = [];
+    while (result.length < count && copy.length) {
+      result.push(copy.splice(int(0, copy.length - 1), 1)[0]);
+    }
+    return result;
+  };
+
+  return { next, int, pick, sample, chance: (p) => next() < p };
+}
+
+const FIRST_NAMES = [
+  "Abebe",
+  "Almaz",
+  "Bereket",
+  "Dawit",
+  "Eden",
+  "Fikru",
+  "Hana",
+  "Kebede",
+  "Liya",
+  "Mahlet",
+  "Meron",
+  "Natnael",
+  "Ruth",
+  "Samuel",
+  "Sara",
+  "Selam",
+  "Tesfaye",
+  "Tigist",
+  "Yonas",
+  "Zewdu",
+];
+
+const LAST_NAMES = [
+  "Alemu",
+  "Bekele",
+  "Desta",
+  "Gebre",
+  "Haile",
+  "Kassa",
+  "Lemma",
+  "Mekonnen",
+  "Negash",
+  "Tadesse",
+  "Tekle",
+  "Wolde",
+  "Yohannes",
+  "Zeleke",
+];
+
+// Each topic has the tags its questions get and things to ask about
+const TOPICS = [
+  {
+    subject: "React",
+    tags: ["react", "javascript"],
+    things: [
+      "useEffect hook",
+      "state update",
+      "context provider",
+      "controlled input",
+      "list key",
+    ],
+  },
+  {
+    subject: "Express",
+    tags: ["express", "node.js"],
+    things: [
+      "middleware order",
+      "error handler",
+      "route parameter",
+      "CORS setup",
+      "JSON body parser",
+    ],
+  },
+  {
+    subject: "MySQL",
+    tags: ["mysql", "sql"],
+    things: [
+      "JOIN query",
+      "FULLTEXT index",
+      "transaction",
+      "foreign key",
+      "GROUP BY clause",
+    ],
+  },
+  {
+    subject: "CSS",
+    tags: ["css", "html"],
+    things: [
+      "flexbox layout",
+      "grid template",
+      "media query",
+      "z-index",
+      "CSS module",
+    ],
+  },
+  {
+    subject: "JavaScript",
+    tags: ["javascript"],
+    things: [
+      "async/await call",
+      "Promise.all",
+      "array sort",
+      "closure",
+      "fetch request",
+    ],
+  },
+  {
+    subject: "Python",
+    tags: ["python"],
+    things: [
+      "list comprehension",
+      "virtualenv",
+      "dictionary merge",
+      "decorator",
+      "asyncio loop",
+    ],
+  },
+  {
+    subject: "Git",
+    tags: ["git"],
+    things: ["merge conflict", "rebase", "detached HEAD", "stash", "submodule"],
+  },
+  {
+    subject: "JWT",
+    tags: ["jwt", "authentication"],
+    things: [
+      "token expiry",
+      "refresh token",
+      "bcrypt hash",
+      "login route",
+      "protected route",
+    ],
+  },
+];
+
+const EXTRA_TAGS = [
+  "beginner",
+  "debugging",
+  "performance",
+  "deployment",
+  "testing",
+];
+
+const TITLES = [
+  (s, t) => `How do I fix the ${t} in ${s}?`,
+  (s, t) => `Why is my ${t} not working in ${s}?`,
+  (s, t) => `Best way to handle a ${t} with ${s}`,
+  (s, t) => `${s}: ${t} behaves differently in production`,
+  (s, t) => `Unexpected error when using a ${t} in ${s}`,
+  (s, t) => `Is there a cleaner way to write this ${s} ${t}?`,
+];
+
+const QUESTION_SENTENCES = [
+  (s, t) =>
+    `I'm working on a small project with ${s} and the ${t} doesn't do what I expect.`,
+  (s, t) =>
+    `Everything works locally, but after deploying the ${t} fails without a clear error.`,
+  (s, t) =>
+    `I read the ${s} documentation about the ${t} twice and I still can't see what I'm missing.`,
+  (s, t) => `When I log the values right before the ${t}, they look correct.`,
+  () =>
+    "I tried clearing the cache and restarting the server, with the same result.",
+  () => "Any pointers on how to debug this would be appreciated.",
+  (s) => `I'm fairly new to ${s}, so maybe this is something obvious.`,
+  (s, t) =>
+    `Is there a recommended pattern for the ${t} that avoids this problem?`,
+];
+
+const ANSWER_SENTENCES = [
+  (s, t) => `The ${t} runs before your data is ready; move it after the await.`,
+  (s, t) =>
+    `Check the order in which ${s} sets up the ${t}, that is usually the culprit.`,
+  () =>
+    "Log the full error object instead of just the message, it will tell you more.",
+  (s) =>
+    `This changed in a recent ${s} version, so older tutorials show the wrong approach.`,
+  () =>
+    "I had the same issue; it was an environment variable missing in production.",
+  (s, t) => `Wrap the ${t} in a small helper and test it separately first.`,
+  () => "Make sure you are not mutating the object in place.",
+  () =>
+    "Try reproducing it in a minimal example; it often makes the bug obvious.",
+];
+
+// A date `daysAgo` (fractional) before now
+const daysBefore = (now, daysAgo) => new Date(now.getTime() - daysAgo * DAY_MS);
+
+function generateUsers(random, count, totalDays, now) {
+  return Array.from({ length: count }, (_, index) => {
+    const number = index + 1;
+    const first = random.pick(FIRST_NAMES);
+    const last = random.pick(LAST_NAMES);
+
+    return {
+      user_name: `${first.toLowerCase()}${number}`,
+      first_name: first,
+      last_name: last,
+      email: `user${number}@${SEED_EMAIL_DOMAIN}`,
+      role: number === 1 ? "admin" : number === 2 ? "moderator" : "user",
+      // Registered before the oldest seeded question
+      createdAt: daysBefore(now, totalDays + random.int(1, 30)),
+    };
+  });
+}
+
+function generateQuestion(random, userCount, totalDays, now) {
+  const topic = random.pick(TOPICS);
+  const thing = random.pick(topic.things);
+
+  const tags = [...topic.tags];
+  if (random.chance(0.3)) {
+    const extra = random.pick(EXTRA_TAGS);
+    if (!tags.includes(extra)) tags.push(extra);
+  }
+
+  const paragraphs = Array.from({ length: random.int(1, 3) }, () =>
+    random
+      .sample(QUESTION_SENTENCES, random.int(1, 3))
+      .map((sentence) => sentence(topic.subject, thing))
+      .join(" ")
+  );
+
+  return {
+    topic,
+    thing,
+    userIndex: random.int(0, userCount - 1),
+    title: random.pick(TITLES)(topic.subject, thing),
+    // The editor stores descriptions as HTML
+    question_description: paragraphs.map((text) => `<p>${text}</p>`).join(""),
+    tags,
+    createdAt: daysBefore(now, random.next() * totalDays),
+  };
+}
+
+function generateAnswer(random, question, questionIndex, userCount, now) {
+  const text = random
+    .sample(ANSWER_SENTENCES, random.int(1, 2))
+    .map((sentence) => sentence(question.topic.subject, question.thing))
+    .join(" ");
+
+  // Sometime between the question and now, mostly within a few days
+  const ageDays = (now - question.createdAt) / DAY_MS;
+  const delay = Math.min(ageDays, random.next() ** 3 * ageDays);
+
+  return {
+    questionIndex,
+    userIndex: random.int(0, userCount - 1),
+    answer: text.slice(0, 300),
+    createdAt: new Date(question.createdAt.getTime() + delay * DAY_MS),
+  };
+}
+
+// Up to `max` votes from distinct users other than the post's author;
+// mostly upvotes
+function generateVotes(
+  random,
+  postType,
+  postIndex,
+  authorIndex,
+  userCount,
+  max
+) {
+  const voters = random.sample(
+    Array.from({ length: userCount }, (_, i) => i).filter(
+      (i) => i !== authorIndex
+    ),
+    random.int(0, max)
+  );
+
+  return voters.map((userIndex) => ({
+    userIndex,
+    postType,
+    postIndex,
+    value: random.chance(0.8) ? 1 : -1,
+  }));
+}
+
+// `size` is the number of questions; users, answers and votes scale with it.
+// Returns plain objects that reference each other by array index:
+// { users, questions, answers, votes }. Questions carry score and
+// acceptedAnswerIndex, answers carry score.
+function generateSeedData({
+  seed = 1,
+  size = 50,
+  months = 12,
+  now = new Date(),
+} = {}) {
+  const random = createRandom(seed);
+  const totalDays = months * 30;
+  const userCount = Math.max(5, Math.ceil(size / 4));
+  const maxVotes = Math.min(10, userCount - 1);
+
+  const users = generateUsers(random, userCount, totalDays, now);
+  const questions = [];
+  const answers = [];
+  const votes = [];
+
+  for (let q = 0; q < size; q++) {
+    const question = generateQuestion(random, userCount, totalDays, now);
+    questions.push(question);
+
+    // About one in five questions stays unanswered
+    const answerCount = random.chance(0.2) ? 0 : random.int(1, 4);
+    const answerIndexes = [];
+    for (let a = 0; a < answerCount; a++) {
+      answerIndexes.push(answers.length);
+      answers.push(generateAnswer(random, question, q, userCount, now));
+    }
+
+    question.acceptedAnswerIndex =
+      answerIndexes.length && random.chance(0.4)
+        ? random.pick(answerIndexes)
+        : null;
+  }
+
+  questions.forEach((question, index) => {
+    const postVotes = generateVotes(
+      random,
+      "question",
+      index,
+      question.userIndex,
+      userCount,
+      maxVotes
+    );
+    question.score = postVotes.reduce((sum, vote) => sum + vote.value, 0);
+    votes.push(...postVotes);
+  });
+
+  answers.forEach((answer, index) => {
+    const postVotes = generateVotes(
+      random,
+      "answer",
+      index,
+      answer.userIndex,
+      userCount,
+      maxVotes
+    );
+    answer.score = postVotes.reduce((sum, vote) => sum + vote.value, 0);
+    votes.push(...postVotes);
+  });
+
+  return { users, questions, answers, votes };
+}
+
+module.exports = {
+  SEED_PASSWORD,
+  SEED_EMAIL_DOMAIN,
+  createRandom,
+  generateSeedData,
+};
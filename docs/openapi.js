@@ -0,0 +1,743 @@
+// OpenAPI 3 description of /api/users, /api/question and /api/answers,
+// served at /api/docs/openapi.json and browsable at /api/docs.
+// Parameters and request bodies are generated from the request schemas in
+// shared/validation.json (the ones validate() checks), so only the paths,
+// responses and auth are written by hand here. test/contract.test.js fails
+// when the routes and this document disagree.
+const { version } = require("../package.json");
+const { schemas } = require("../utils/validation");
+
+// A validation rule (see shared/validator.mjs) as a JSON schema
+function ruleSchema(rule) {
+  const schema = { description: rule.label };
+
+  if (rule.values) {
+    const numeric = rule.values.every((value) => typeof value === "number");
+    return {
+      ...schema,
+      type: numeric ? "integer" : "string",
+      enum: rule.values,
+    };
+  }
+
+  if (rule.type === "integer") {
+    return {
+      ...schema,
+      type: "integer",
+      ...(rule.min !== undefined && { minimum: rule.min }),
+      ...(rule.max !== undefined && { maximum: rule.max }),
+    };
+  }
+
+  if (rule.type === "list") {
+    return {
+      ...schema,
+      description: `${rule.label} (a list, or a comma separated string)`,
+      oneOf: [
+        {
+          type: "array",
+          items: { type: "string" },
+          ...(rule.maxItems !== undefined && { maxItems: rule.maxItems }),
+        },
+        { type: "string" },
+      ],
+    };
+  }
+
+  return {
+    ...schema,
+    ...(rule.maxBytes !== undefined && {
+      description: `${rule.label} (at most ${rule.maxBytes} bytes of UTF-8)`,
+    }),
+    type: "string",
+    ...(rule.minLength !== undefined && { minLength: rule.minLength }),
+    ...(rule.maxLength !== undefined && { maxLength: rule.maxLength }),
+    ...(rule.pattern && { pattern: rule.pattern }),
+  };
+}
+
+// Path and query parameters plus the JSON body of a request schema
+function requestParts(name) {
+  const schema = schemas[name];
+  if (!schema) throw new Error(`Unknown request schema "${name}"`);
+
+  const parameters = [];
+  for (const location of ["params", "query"]) {
+    for (const [field, rule] of Object.entries(schema[location] || {})) {
+      parameters.push({
+        name: field,
+        in: location === "params" ? "path" : "query",
+        required: location === "params" || Boolean(rule.required),
+        schema: ruleSchema(rule),
+      });
+    }
+  }
+
+  if (!schema.body) return { parameters };
+
+  const fields = Object.entries(schema.body);
+  const required = fields
+    .filter(([, rule]) => rule.required)
+    .map(([field]) => field);
+  return {
+    parameters,
+    requestBody: {
+      required: required.length > 0,
+      content: {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: Object.fromEntries(
+              fields.map(([field, rule]) => [field, ruleSchema(rule)])
+            ),
+            ...(required.length && { required }),
+          },
+        },
+      },
+    },
+  };
+}
+
+// Shorthands for the schemas below
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+const message = (key = "message") => ({
+  type: "object",
+  properties: { [key]: { type: "string" } },
+  required: [key],
+});
+const withMessage = (key, properties) => ({
+  type: "object",
+  properties: { [key]: { type: "string" }, ...properties },
+  required: [key, ...Object.keys(properties)],
+});
+
+// One operation. `errors` lists shared responses from components.responses
+// by status code; 500 is added to every operation.
+function operation({
+  tag,
+  summary,
+  description,
+  auth = true,
+  request,
+  responses,
+  errors = [],
+}) {
+  const { parameters = [], requestBody } = request ? requestParts(request) : {};
+
+  const errorCodes = [...errors, ...(auth ? ["401"] : []), "500"];
+  return {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(auth ? { security: [{ bearerAuth: [] }] } : { security: [] }),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: {
+      ...responses,
+      ...Object.fromEntries(
+        [...new Set(errorCodes)]
+          .sort()
+          .map((code) => [code, { $ref: `#/components/responses/${code}` }])
+      ),
+    },
+  };
+}
+
+const tokens = withMessage("msg", {
+  token: { type: "string", description: "Access token (JWT)" },
+  refreshToken: { type: "string" },
+});
+
+const paths = {
+  // Users, sessions and account emails. These answer with `msg`.
+  "/api/users/register": {
+    post: operation({
+      tag: "Users",
+      summary: "Create an account",
+      description:
+        "Sends an email with a verification link. Rate limited per IP.",
+      auth: false,
+      request: "register",
+      responses: { 201: json(message("msg"), "Account created") },
+      errors: ["400", "429"],
+    }),
+  },
+  "/api/users/login": {
+    post: operation({
+      tag: "Users",
+      summary: "Log in",
+      description:
+        "Returns an access token and a refresh token. Repeated failures lock the account for a while (429 ACCOUNT_LOCKED).",
+      auth: false,
+      request: "login",
+      responses: { 200: json(tokens, "Logged in") },
+      errors: ["400", "401", "429"],
+    }),
+  },
+  "/api/users/refresh": {
+    post: operation({
+      tag: "Users",
+      summary: "Trade a refresh token for a new token pair",
+      description:
+        "The refresh token is rotated. For a few seconds the old one still gets an access token (without a new refresh token), so tabs refreshing together stay logged in; after that it stops working (401 SESSION_EXPIRED) and ends the session.",
+      auth: false,
+      request: "refreshToken",
+      responses: { 200: json(tokens, "New tokens") },
+      errors: ["400", "401"],
+    }),
+  },
+  "/api/users/logout": {
+    post: operation({
+      tag: "Users",
+      summary: "End the session of a refresh token",
+      auth: false,
+      request: "refreshToken",
+      responses: { 200: json(message("msg"), "Logged out") },
+      errors: ["400"],
+    }),
+  },
+  "/api/users/logout-all": {
+    post: operation({
+      tag: "Users",
+      summary: "End every session of the current user",
+      responses: {
+        200: json(
+          withMessage("msg", {
+            sessions: { type: "integer", description: "Sessions ended" },
+          }),
+          "Logged out everywhere"
+        ),
+      },
+    }),
+  },
+  "/api/users/{user_id}/role": {
+    put: operation({
+      tag: "Users",
+      summary: "Change a user's role (admins)",
+      request: "setUserRole",
+      responses: {
+        200: json(
+          withMessage("msg", {
+            user_id: { type: "integer" },
+            role: { type: "string", enum: ["user", "moderator", "admin"] },
+          }),
+          "Role changed"
+        ),
+      },
+      errors: ["400", "403", "404"],
+    }),
+  },
+  "/api/users/check": {
+    get: operation({
+      tag: "Users",
+      summary: "The logged in user",
+      responses: { 200: json(ref("CurrentUser"), "The current user") },
+    }),
+  },
+  "/api/users/forget-password": {
+    post: operation({
+      tag: "Users",
+      summary: "Email a password reset link",
+      description:
+        "Answers the same whether or not the email belongs to an account.",
+      auth: false,
+      request: "forgetPassword",
+      responses: {
+        200: json(message("msg"), "Email sent if the account exists"),
+      },
+      errors: ["400", "429"],
+    }),
+  },
+  "/api/users/verify-email/{token}": {
+    post: operation({
+      tag: "Users",
+      summary: "Verify an email address with the link from the email",
+      auth: false,
+      request: "tokenLink",
+      responses: { 200: json(message("msg"), "Email verified") },
+      errors: ["400"],
+    }),
+  },
+  "/api/users/resend-verification": {
+    post: operation({
+      tag: "Users",
+      summary: "Send a new verification email",
+      responses: { 200: json(message("msg"), "Email sent") },
+      errors: ["400", "404", "429"],
+    }),
+  },
+  "/api/users/reset-password/{token}": {
+    get: operation({
+      tag: "Users",
+      summary: "Check a password reset link before asking for a password",
+      auth: false,
+      request: "tokenLink",
+      responses: { 200: json(message("msg"), "The link is valid") },
+      errors: ["400"],
+    }),
+    post: operation({
+      tag: "Users",
+      summary: "Choose a new password with a reset link",
+      description: "Ends every session of the user.",
+      auth: false,
+      request: "resetPassword",
+      responses: { 200: json(message("msg"), "Password changed") },
+      errors: ["400"],
+    }),
+  },
+
+  // Questions
+  "/api/question": {
+    get: operation({
+      tag: "Questions",
+      summary: "List questions",
+      request: "listQuestions",
+      responses: {
+        200: json(
+          {
+            allOf: [
+              {
+                type: "object",
+                properties: {
+                  questions: { type: "array", items: ref("QuestionSummary") },
+                  sort: { type: "string" },
+                },
+                required: ["questions", "sort"],
+              },
+              ref("Pagination"),
+            ],
+          },
+          "A page of questions"
+        ),
+      },
+      errors: ["400"],
+    }),
+    post: operation({
+      tag: "Questions",
+      summary: "Ask a question",
+      description:
+        "Needs a verified email and an account that isn't suspended. Rate limited per user.",
+      request: "createQuestion",
+      responses: {
+        201: json(
+          withMessage("message", {
+            question_id: { type: "integer" },
+            tags: { type: "array", items: { type: "string" } },
+          }),
+          "Question created"
+        ),
+      },
+      errors: ["400", "403", "429"],
+    }),
+  },
+  "/api/question/deleted": {
+    get: operation({
+      tag: "Questions",
+      summary: "Recently deleted questions and answers that can be restored",
+      description: "Your own posts; moderators get everyone's with all=true.",
+      request: "listDeletedPosts",
+      responses: { 200: json(ref("DeletedPosts"), "Restorable posts") },
+      errors: ["400"],
+    }),
+  },
+  "/api/question/{question_id}": {
+    get: operation({
+      tag: "Questions",
+      summary: "A question",
+      request: "question",
+      responses: { 200: json(ref("Question"), "The question") },
+      errors: ["400", "404"],
+    }),
+    put: operation({
+      tag: "Questions",
+      summary: "Edit a question",
+      description:
+        "Owners, moderators and admins. Tags are only replaced when sent. Each edit is stored as a revision.",
+      request: "updateQuestion",
+      responses: { 200: json(message(), "Question updated") },
+      errors: ["400", "403", "404"],
+    }),
+    delete: operation({
+      tag: "Questions",
+      summary: "Delete a question",
+      description:
+        "Soft delete; it can be restored for restore_window_days days.",
+      request: "question",
+      responses: { 200: json(ref("Deleted"), "Question deleted") },
+      errors: ["400", "403", "404"],
+    }),
+  },
+  "/api/question/{question_id}/restore": {
+    post: operation({
+      tag: "Questions",
+      summary: "Restore a deleted question",
+      request: "question",
+      responses: { 200: json(message(), "Question restored") },
+      errors: ["400", "403", "404", "410"],
+    }),
+  },
+  "/api/question/{question_id}/accept": {
+    put: operation({
+      tag: "Questions",
+      summary: "Accept an answer (question owner)",
+      request: "acceptAnswer",
+      responses: {
+        200: json(
+          withMessage("message", {
+            accepted_answer_id: { type: "integer" },
+          }),
+          "Answer accepted"
+        ),
+      },
+      errors: ["400", "403", "404"],
+    }),
+    delete: operation({
+      tag: "Questions",
+      summary: "Un-accept the accepted answer (question owner)",
+      request: "question",
+      responses: {
+        200: json(
+          withMessage("message", {
+            accepted_answer_id: { type: "integer", nullable: true },
+          }),
+          "Answer un-accepted"
+        ),
+      },
+      errors: ["400", "403", "404"],
+    }),
+  },
+
+  // Answers
+  "/api/answers": {
+    get: operation({
+      tag: "Answers",
+      summary: "Every answer, newest first",
+      responses: {
+        200: json(
+          {
+            type: "object",
+            properties: {
+              answers: { type: "array", items: ref("AnswerListItem") },
+            },
+            required: ["answers"],
+          },
+          "All answers"
+        ),
+      },
+    }),
+  },
+  "/api/answers/{question_id}": {
+    post: operation({
+      tag: "Answers",
+      summary: "Answer a question",
+      description:
+        "Needs a verified email and an account that isn't suspended. Rate limited per user.",
+      request: "postAnswer",
+      responses: { 201: json(message(), "Answer posted") },
+      errors: ["400", "403", "404", "429"],
+    }),
+  },
+  "/api/answers/question/{question_id}": {
+    get: operation({
+      tag: "Answers",
+      summary: "The answers to a question",
+      description: "The accepted answer comes first.",
+      request: "listQuestionAnswers",
+      responses: {
+        200: json(
+          {
+            allOf: [
+              {
+                type: "object",
+                properties: {
+                  answers: { type: "array", items: ref("Answer") },
+                  sort: { type: "string" },
+                },
+                required: ["answers", "sort"],
+              },
+              ref("Pagination"),
+            ],
+          },
+          "A page of answers"
+        ),
+      },
+      errors: ["400", "404"],
+    }),
+  },
+  "/api/answers/{answer_id}": {
+    get: operation({
+      tag: "Answers",
+      summary: "An answer with its question",
+      request: "answer",
+      responses: { 200: json(ref("AnswerDetail"), "The answer") },
+      errors: ["400", "404"],
+    }),
+    put: operation({
+      tag: "Answers",
+      summary: "Edit an answer",
+      description:
+        "Owners, moderators and admins. Each edit is stored as a revision.",
+      request: "editAnswer",
+      responses: { 200: json(message(), "Answer updated") },
+      errors: ["400", "403", "404"],
+    }),
+    delete: operation({
+      tag: "Answers",
+      summary: "Delete an answer",
+      description:
+        "Soft delete; it can be restored for restore_window_days days.",
+      request: "answer",
+      responses: { 200: json(ref("Deleted"), "Answer deleted") },
+      errors: ["400", "403", "404"],
+    }),
+  },
+  "/api/answers/{answer_id}/restore": {
+    post: operation({
+      tag: "Answers",
+      summary: "Restore a deleted answer",
+      request: "answer",
+      responses: { 200: json(message(), "Answer restored") },
+      errors: ["400", "403", "404", "409", "410"],
+    }),
+  },
+};
+
+const author = {
+  user_id: { type: "integer" },
+  user_name: { type: "string" },
+  user_reputation: { type: "integer" },
+};
+const timestamp = { type: "string", format: "date-time" };
+const myVote = {
+  type: "integer",
+  enum: [1, -1],
+  nullable: true,
+  description: "The current user's vote",
+};
+
+const componentSchemas = {
+  Error: {
+    type: "object",
+    properties: {
+      error: {
+        type: "object",
+        properties: {
+          code: {
+            type: "string",
+            description: "Stable error code, e.g. NOT_FOUND",
+          },
+          message: { type: "string", description: "For people" },
+          details: {
+            type: "object",
+            description:
+              "VALIDATION_ERROR: fields ({ field: message }); ACCOUNT_SUSPENDED: suspended_until; RATE_LIMITED and ACCOUNT_LOCKED: retry_after (seconds)",
+          },
+        },
+        required: ["code", "message"],
+      },
+    },
+    required: ["error"],
+  },
+  Pagination: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      page: { type: "integer" },
+      limit: { type: "integer" },
+      totalPages: { type: "integer" },
+    },
+    required: ["total", "page", "limit", "totalPages"],
+  },
+  CurrentUser: withMessage("msg", {
+    username: { type: "string" },
+    userid: { type: "integer" },
+    reputation: { type: "integer" },
+    email_verified: { type: "boolean" },
+    role: { type: "string", enum: ["user", "moderator", "admin"] },
+  }),
+  QuestionSummary: {
+    type: "object",
+    properties: {
+      question_id: { type: "integer" },
+      title: { type: "string" },
+      question_description: { type: "string" },
+      tags: { type: "array", items: { type: "string" } },
+      createdAt: timestamp,
+      ...author,
+      score: { type: "integer" },
+      accepted_answer_id: { type: "integer", nullable: true },
+      answer_count: { type: "integer" },
+      is_solved: { type: "boolean" },
+    },
+  },
+  Question: {
+    type: "object",
+    properties: {
+      question_id: { type: "integer" },
+      title: { type: "string" },
+      question_description: { type: "string" },
+      tags: { type: "array", items: { type: "string" } },
+      createdAt: timestamp,
+      ...author,
+      score: { type: "integer" },
+      accepted_answer_id: { type: "integer", nullable: true },
+      edited_at: { ...timestamp, nullable: true },
+      my_vote: myVote,
+      comment_count: { type: "integer" },
+    },
+  },
+  Answer: {
+    type: "object",
+    properties: {
+      answer_id: { type: "integer" },
+      question_id: { type: "integer" },
+      answer: { type: "string" },
+      score: { type: "integer" },
+      createdAt: timestamp,
+      ...author,
+      is_accepted: { type: "boolean" },
+      edited_at: { ...timestamp, nullable: true },
+      my_vote: myVote,
+      comment_count: { type: "integer" },
+    },
+  },
+  AnswerListItem: {
+    type: "object",
+    properties: {
+      answer_id: { type: "integer" },
+      question_id: { type: "integer" },
+      title: { type: "string", description: "Title of the question" },
+      question_description: { type: "string" },
+      answer: { type: "string" },
+      score: { type: "integer" },
+      createdAt: timestamp,
+      ...author,
+    },
+  },
+  AnswerDetail: {
+    type: "object",
+    properties: {
+      answer_id: { type: "integer" },
+      question_id: { type: "integer" },
+      answer: { type: "string" },
+      score: { type: "integer" },
+      createdAt: timestamp,
+      ...author,
+      question_title: { type: "string" },
+      question_description: { type: "string" },
+      is_accepted: { type: "boolean" },
+      is_owner: { type: "boolean" },
+      can_edit: { type: "boolean" },
+    },
+  },
+  Deleted: withMessage("message", {
+    restore_window_days: { type: "integer" },
+  }),
+  DeletedPosts: {
+    type: "object",
+    properties: {
+      questions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            question_id: { type: "integer" },
+            title: { type: "string" },
+            user_id: { type: "integer" },
+            user_name: { type: "string" },
+            deletedAt: timestamp,
+            deletedBy: { type: "integer" },
+            deleted_by_name: { type: "string" },
+          },
+        },
+      },
+      answers: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            answer_id: { type: "integer" },
+            question_id: { type: "integer" },
+            question_title: { type: "string" },
+            answer: { type: "string" },
+            user_id: { type: "integer" },
+            user_name: { type: "string" },
+            deletedAt: timestamp,
+            deletedBy: { type: "integer" },
+            deleted_by_name: { type: "string" },
+            question_deleted: { type: "boolean" },
+          },
+        },
+      },
+      restore_window_days: { type: "integer" },
+    },
+    required: ["questions", "answers", "restore_window_days"],
+  },
+};
+
+// The error responses, all in the shape of utils/errors.js
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const componentResponses = {
+  400: errorResponse(
+    "Invalid request: VALIDATION_ERROR (with details.fields), BAD_REQUEST, INVALID_JSON, INVALID_LINK, ALREADY_REGISTERED or ALREADY_VERIFIED"
+  ),
+  401: errorResponse(
+    "UNAUTHORIZED (missing, invalid or revoked token), INVALID_CREDENTIALS or SESSION_EXPIRED"
+  ),
+  403: errorResponse(
+    "FORBIDDEN, ACCOUNT_SUSPENDED (with details.suspended_until) or EMAIL_NOT_VERIFIED"
+  ),
+  404: errorResponse("NOT_FOUND"),
+  409: errorResponse("CONFLICT"),
+  410: errorResponse("GONE: the restore window has passed"),
+  429: errorResponse(
+    "RATE_LIMITED or ACCOUNT_LOCKED (with details.retry_after)",
+    {
+      "Retry-After": {
+        description: "Seconds to wait",
+        schema: { type: "integer" },
+      },
+    }
+  ),
+  500: errorResponse("INTERNAL_ERROR"),
+};
+
+const openapi = {
+  openapi: "3.0.3",
+  info: {
+    title: "Evangadi Forum API",
+    version,
+    description:
+      "Questions and answers, and the accounts that post them. Errors always have the shape { error: { code, message, details } }.",
+  },
+  servers: [{ url: "/" }],
+  tags: [
+    { name: "Users", description: "Accounts, sessions and account emails" },
+    { name: "Questions" },
+    { name: "Answers" },
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        bearerFormat: "JWT",
+        description: "The token from POST /api/users/login",
+      },
+    },
+    schemas: componentSchemas,
+    responses: componentResponses,
+  },
+};
+
+module.exports = openapi;
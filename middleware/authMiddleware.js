@@ -1,28 +1,39 @@
-const { StatusCodes } = require("http-status-codes");
 const jwt = require("jsonwebtoken");
+const dbConnection = require("../db/dbConfig");
+const { findActiveSession } = require("../utils/sessions");
+const { UnauthorizedError } = require("../utils/errors");
 require("dotenv").config();
 
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res
-      .status(StatusCodes.UNAUTHORIZED)
-      .json({ msg: "Authentication invalid" });
+    throw new UnauthorizedError();
   }
 
   const token = authHeader.split(" ")[1];
   // console.log(authHeader);
   // console.log(token);
 
+  let payload;
   try {
-    const { username, userid } = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { username, userid };
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    return res
-      .status(StatusCodes.UNAUTHORIZED)
-      .json({ msg: "Authentication invalid" });
+    throw new UnauthorizedError();
   }
+
+  const { username, userid, sid } = payload;
+
+  // Tokens belong to a session; logged out (revoked) sessions are rejected
+  const session = sid
+    ? await findActiveSession(dbConnection, { sid, userid })
+    : null;
+
+  if (!session) {
+    throw new UnauthorizedError();
+  }
+
+  req.user = { username, userid, role: session.role, sessionId: sid };
+  next();
 }
 module.exports = authMiddleware;
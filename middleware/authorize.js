@@ -0,0 +1,16 @@
+const { hasRole } = require("../utils/policy");
+const { ForbiddenError } = require("../utils/errors");
+
+// Route guard for role-only checks, used after authMiddleware:
+//   router.put("/:user_id/role", authMiddleware, requireRole("admin"), setRole)
+// Checks that depend on the resource (ownership) use can() in the controller.
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, minRole)) {
+      throw new ForbiddenError();
+    }
+    next();
+  };
+}
+
+module.exports = { requireRole };
@@ -0,0 +1,61 @@
+const { StatusCodes } = require("http-status-codes");
+const { AppError, NotFoundError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+const { httpErrors } = require("../utils/metrics");
+
+// Unknown routes, mounted after every router
+function notFound(req, res, next) {
+  next(new NotFoundError("Route not found"));
+}
+
+// The body parser's errors (malformed JSON, body too large, ...) carry a 4xx
+// status; anything else that isn't an AppError is a bug.
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    if (err.type === "entity.parse.failed") {
+      return new AppError("Request body is not valid JSON", {
+        status,
+        code: "INVALID_JSON",
+      });
+    }
+    return new AppError(err.expose ? err.message : "Bad request", {
+      status,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  return null;
+}
+
+// Last middleware: every error response goes through here, in the shape
+// documented in utils/errors.js. Express recognizes error handlers by their
+// four arguments.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  let error = toAppError(err);
+  if (!error) {
+    logger.error("Unhandled error", { err });
+    error = new AppError("Internal server error", {
+      status: StatusCodes.INTERNAL_SERVER_ERROR,
+    });
+  }
+  httpErrors.inc({ status: error.status, code: error.code });
+
+  if (error.details?.retry_after) {
+    res.set("Retry-After", String(error.details.retry_after));
+  }
+
+  return res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+    },
+  });
+}
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,45 @@
+const dbConnection = require("../db/dbConfig");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+require("dotenv").config();
+
+// Runs after authMiddleware on routes that create or change content: posting,
+// editing, voting, flagging and rolling back revisions. Suspended accounts
+// can do none of these, and when REQUIRE_EMAIL_VERIFICATION=true neither can
+// unverified ones.
+async function postingGuard(req, res, next) {
+  const [user] = await dbConnection.query(
+    `SELECT email_verified, suspended_until,
+      suspended_until IS NOT NULL AND suspended_until > NOW() AS suspended
+    FROM userTable WHERE user_id = ?`,
+    [req.user.userid]
+  );
+
+  if (!user.length) {
+    throw new UnauthorizedError("User not found");
+  }
+
+  if (user[0].suspended) {
+    throw new ForbiddenError(
+      `Your account is suspended until ${new Date(
+        user[0].suspended_until
+      ).toUTCString()}`,
+      {
+        code: "ACCOUNT_SUSPENDED",
+        details: { suspended_until: user[0].suspended_until },
+      }
+    );
+  }
+
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !user[0].email_verified
+  ) {
+    throw new ForbiddenError("Please verify your email address first", {
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  next();
+}
+
+module.exports = postingGuard;
@@ -0,0 +1,69 @@
+// Rate limits for auth and posting routes. Each one is configured with an
+// environment variable in the form "<max>/<window>" (window units s, m, h or
+// d), or "off" to disable it.
+const { rateLimit, parseLimit } = require("../utils/rateLimit");
+const { normalizeEmail } = require("../utils/loginLockout");
+require("dotenv").config();
+
+const limit = (name, fallback) => parseLimit(process.env[name], fallback);
+
+// Login attempts per IP and per email address
+const loginIpLimit = rateLimit({
+  name: "login-ip",
+  limit: limit("RATE_LIMIT_LOGIN_IP", "20/15m"),
+  message: "Too many login attempts, please try again later",
+});
+
+const loginAccountLimit = rateLimit({
+  name: "login-account",
+  limit: limit("RATE_LIMIT_LOGIN_ACCOUNT", "10/15m"),
+  key: (req) => req.body?.email && normalizeEmail(req.body.email),
+  message: "Too many login attempts, please try again later",
+});
+
+// Sign-ups per IP
+const registerLimit = rateLimit({
+  name: "register",
+  limit: limit("RATE_LIMIT_REGISTER", "5/1h"),
+  message: "Too many accounts created from this address, please try later",
+});
+
+// Password reset and verification emails per IP
+const emailLimit = rateLimit({
+  name: "email",
+  limit: limit("RATE_LIMIT_EMAIL", "5/1h"),
+  message: "Too many emails requested, please try again later",
+});
+
+// New questions and answers per user (after authMiddleware)
+const questionLimit = rateLimit({
+  name: "questions",
+  limit: limit("RATE_LIMIT_QUESTIONS", "10/1h"),
+  key: (req) => req.user?.userid,
+  message: "You are asking questions too quickly, please wait a while",
+});
+
+const answerLimit = rateLimit({
+  name: "answers",
+  limit: limit("RATE_LIMIT_ANSWERS", "30/1h"),
+  key: (req) => req.user?.userid,
+  message: "You are posting answers too quickly, please wait a while",
+});
+
+// Flags per user
+const flagLimit = rateLimit({
+  name: "flags",
+  limit: limit("RATE_LIMIT_FLAGS", "20/1h"),
+  key: (req) => req.user?.userid,
+  message: "You are flagging too quickly, please wait a while",
+});
+
+module.exports = {
+  loginIpLimit,
+  loginAccountLimit,
+  registerLimit,
+  emailLimit,
+  questionLimit,
+  answerLimit,
+  flagLimit,
+};
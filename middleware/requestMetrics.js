@@ -0,0 +1,19 @@
+const { routePath } = require("./requestLogger");
+const { httpRequests, httpRequestDuration } = require("../utils/metrics");
+
+// Count and time every request by route pattern. Unknown URLs share one
+// label so scanners can't create a series per path.
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? routePath(req) : "unmatched";
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+module.exports = { requestMetrics };
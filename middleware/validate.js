@@ -0,0 +1,22 @@
+const { schemas, validateRequest, trimFields } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+// Route guard checking req.params, req.query and req.body against a request
+// schema from shared/validation.json:
+//   router.post("/", authMiddleware, validate("createQuestion"), createQuestion)
+// Invalid requests fail with a VALIDATION_ERROR listing every problem by
+// field (see utils/errors.js). Valid requests go on with the body fields of
+// `trim` rules trimmed, so that is what gets stored.
+function validate(name) {
+  const schema = schemas[name];
+  if (!schema) throw new Error(`Unknown request schema "${name}"`);
+
+  return (req, res, next) => {
+    const errors = validateRequest(schema, req);
+    if (errors) throw new ValidationError(errors);
+    if (schema.body && req.body) req.body = trimFields(schema.body, req.body);
+    next();
+  };
+}
+
+module.exports = { validate };
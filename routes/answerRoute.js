@@ -1,17 +1,51 @@
 const express = require("express");
 const answerRoute = express.Router();
 const middleware = require("../middleware/authMiddleware");
+const postingGuard = require("../middleware/postingGuard");
+const { answerLimit } = require("../middleware/rateLimits");
+const { validate } = require("../middleware/validate");
 const {
   deleteAnswer,
   editAnswer,
   postAnswer,
   allAnswers,
+  questionAnswers,
+  singleAnswer,
+  restoreAnswer,
 } = require("../controller/answerController");
 
 // ✅ Fixed routes - remove duplicate "answers/" since app.js already uses "/api/answers"
-answerRoute.post("/:question_id", middleware, postAnswer);
+answerRoute.post(
+  "/:question_id",
+  middleware,
+  validate("postAnswer"),
+  postingGuard,
+  answerLimit,
+  postAnswer
+);
 answerRoute.get("/", middleware, allAnswers);
-answerRoute.delete("/:answer_id", middleware, deleteAnswer);
-answerRoute.put("/:answer_id", middleware, editAnswer);
+// Answers for one question - query: page, limit, sort (oldest | newest | top)
+answerRoute.get(
+  "/question/:question_id",
+  middleware,
+  validate("listQuestionAnswers"),
+  questionAnswers
+);
+answerRoute.get("/:answer_id", middleware, validate("answer"), singleAnswer);
+answerRoute.delete("/:answer_id", middleware, validate("answer"), deleteAnswer);
+answerRoute.put(
+  "/:answer_id",
+  middleware,
+  validate("editAnswer"),
+  postingGuard,
+  editAnswer
+);
+// Restore a deleted answer within the restore window
+answerRoute.post(
+  "/:answer_id/restore",
+  middleware,
+  validate("answer"),
+  restoreAnswer
+);
 
 module.exports = answerRoute;
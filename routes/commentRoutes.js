@@ -0,0 +1,42 @@
+const express = require("express");
+const commentRoute = express.Router();
+const middleware = require("../middleware/authMiddleware");
+const postingGuard = require("../middleware/postingGuard");
+const { validate } = require("../middleware/validate");
+const {
+  getComments,
+  postComment,
+  editComment,
+  deleteComment,
+} = require("../controller/commentController");
+
+// :post_type is "question" or "answer"
+commentRoute.get(
+  "/:post_type/:post_id",
+  middleware,
+  validate("post"),
+  getComments
+);
+// body: { body }
+commentRoute.post(
+  "/:post_type/:post_id",
+  middleware,
+  validate("postComment"),
+  postingGuard,
+  postComment
+);
+commentRoute.put(
+  "/:comment_id",
+  middleware,
+  validate("editComment"),
+  postingGuard,
+  editComment
+);
+commentRoute.delete(
+  "/:comment_id",
+  middleware,
+  validate("comment"),
+  deleteComment
+);
+
+module.exports = commentRoute;
@@ -0,0 +1,10 @@
+const express = require("express");
+const docsRoute = express.Router();
+const { getSpec, getDocsPage } = require("../controller/docsController");
+
+// Interactive API docs (Swagger UI)
+docsRoute.get("/", getDocsPage);
+// OpenAPI 3 document
+docsRoute.get("/openapi.json", getSpec);
+
+module.exports = docsRoute;
@@ -0,0 +1,40 @@
+const express = require("express");
+const flagRoute = express.Router();
+const middleware = require("../middleware/authMiddleware");
+const { requireRole } = require("../middleware/authorize");
+const postingGuard = require("../middleware/postingGuard");
+const { flagLimit } = require("../middleware/rateLimits");
+const { validate } = require("../middleware/validate");
+const {
+  createFlag,
+  getFlags,
+  resolveFlag,
+} = require("../controller/flagController");
+
+// Moderation queue - query: status (open | dismissed | actioned), page, limit
+flagRoute.get(
+  "/",
+  middleware,
+  requireRole("moderator"),
+  validate("listFlags"),
+  getFlags
+);
+// :target_type is "question", "answer" or "user" - body: { reason, details }
+flagRoute.post(
+  "/:target_type/:target_id",
+  middleware,
+  validate("createFlag"),
+  postingGuard,
+  flagLimit,
+  createFlag
+);
+// body: { action: dismiss | delete | warn | suspend, days }
+flagRoute.put(
+  "/:flag_id/resolve",
+  middleware,
+  requireRole("moderator"),
+  validate("resolveFlag"),
+  resolveFlag
+);
+
+module.exports = flagRoute;
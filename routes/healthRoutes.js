@@ -0,0 +1,13 @@
+const express = require("express");
+const healthRoute = express.Router();
+const { health, ready, metrics } = require("../controller/healthController");
+
+// Liveness probe - 200 while the process is up
+healthRoute.get("/health", health);
+// Readiness probe - 200 when the database answers, 503 otherwise
+healthRoute.get("/ready", ready);
+// Prometheus metrics (Authorization: Bearer METRICS_TOKEN, or open with
+// METRICS_PUBLIC=true; 404 otherwise)
+healthRoute.get("/metrics", metrics);
+
+module.exports = healthRoute;
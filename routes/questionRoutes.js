@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const authMiddleware = require('../middleware/authMiddleware')
+const authMiddleware = require("../middleware/authMiddleware");
+const postingGuard = require("../middleware/postingGuard");
+const { questionLimit } = require("../middleware/rateLimits");
+const { validate } = require("../middleware/validate");
 
 // Question Controller
 const {
@@ -9,23 +12,84 @@ const {
   getSingleQuestion,
   updateQuestion,
   deleteQuestion,
+  acceptAnswer,
+  unacceptAnswer,
+  restoreQuestion,
+  getDeletedPosts,
 } = require("../controller/questionController");
 
 // Question Endpoints
 // Create a new question
-router.post("/", authMiddleware, createQuestion);
+router.post(
+  "/",
+  authMiddleware,
+  validate("createQuestion"),
+  postingGuard,
+  questionLimit,
+  createQuestion
+);
 
-// Get all questions (with pagination, filters, search)
-router.get("/", authMiddleware, getAllQuestion);
+// Get all questions
+// Query: page, limit, sort (newest | oldest | most_answered | unanswered | top), tag, author,
+// solved (true | false)
+router.get("/", authMiddleware, validate("listQuestions"), getAllQuestion);
+
+// Recently deleted questions and answers that can still be restored
+// Query: all=true (moderators: everyone's posts)
+router.get(
+  "/deleted",
+  authMiddleware,
+  validate("listDeletedPosts"),
+  getDeletedPosts
+);
 
 // Get a single question by ID
-router.get("/:question_id", authMiddleware, getSingleQuestion);
+router.get(
+  "/:question_id",
+  authMiddleware,
+  validate("question"),
+  getSingleQuestion
+);
 
 // Update a question by ID
-router.put("/:question_id", authMiddleware, updateQuestion);
+router.put(
+  "/:question_id",
+  authMiddleware,
+  validate("updateQuestion"),
+  postingGuard,
+  updateQuestion
+);
+
+// Delete a question by ID (soft delete)
+router.delete(
+  "/:question_id",
+  authMiddleware,
+  validate("question"),
+  deleteQuestion
+);
+
+// Restore a deleted question within the restore window
+router.post(
+  "/:question_id/restore",
+  authMiddleware,
+  validate("question"),
+  restoreQuestion
+);
 
-// Delete a question by ID
-router.delete("/:question_id", authMiddleware, deleteQuestion);
+// Accept an answer for a question - body: { answer_id }
+router.put(
+  "/:question_id/accept",
+  authMiddleware,
+  validate("acceptAnswer"),
+  acceptAnswer
+);
 
+// Un-accept the accepted answer of a question
+router.delete(
+  "/:question_id/accept",
+  authMiddleware,
+  validate("question"),
+  unacceptAnswer
+);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const revisionRoute = express.Router();
+const middleware = require("../middleware/authMiddleware");
+const postingGuard = require("../middleware/postingGuard");
+const { validate } = require("../middleware/validate");
+const {
+  getRevisions,
+  rollbackRevision,
+} = require("../controller/revisionController");
+
+// :post_type is "question" or "answer"
+revisionRoute.get(
+  "/:post_type/:post_id",
+  middleware,
+  validate("revisions"),
+  getRevisions
+);
+// Make an earlier revision the current content again
+revisionRoute.post(
+  "/:post_type/:post_id/:revision_number/rollback",
+  middleware,
+  validate("rollbackRevision"),
+  postingGuard,
+  rollbackRevision
+);
+
+module.exports = revisionRoute;
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validate");
+const { searchQuestions } = require("../controller/searchController");
+
+// Full-text search over questions and answers
+// Query: q (supports "phrases", tag:<tag>, user:<user_name>), page, limit
+router.get("/", authMiddleware, validate("search"), searchQuestions);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const tagRoute = express.Router();
+const middleware = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validate");
+const { getAllTags, getSingleTag } = require("../controller/tagController");
+
+// List tags with question counts - query: sort (popular | name), search, page, limit
+tagRoute.get("/", middleware, validate("listTags"), getAllTags);
+// Single tag with its question count (questions: GET /api/question?tag=)
+tagRoute.get("/:tag", middleware, validate("tag"), getSingleTag);
+
+module.exports = tagRoute;
@@ -6,18 +6,72 @@ const {
   login,
   checkUser,
   forgetPassword,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
+  logoutAll,
+  setUserRole,
 } = require("../controller/userController.js");
 const authMiddleware = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/authorize.js");
+const {
+  loginIpLimit,
+  loginAccountLimit,
+  registerLimit,
+  emailLimit,
+} = require("../middleware/rateLimits.js");
+const { validate } = require("../middleware/validate.js");
 
 // register route
-router.post("/register", register);
+router.post("/register", registerLimit, validate("register"), register);
 
 // login user
-router.post("/login", login);
+router.post(
+  "/login",
+  loginIpLimit,
+  loginAccountLimit,
+  validate("login"),
+  login
+);
+
+// sessions: new access token from a refresh token, and logging out
+router.post("/refresh", validate("refreshToken"), refreshToken);
+router.post("/logout", validate("refreshToken"), logout);
+router.post("/logout-all", authMiddleware, logoutAll);
+
+// admins assign roles - body: { role }
+router.put(
+  "/:user_id/role",
+  authMiddleware,
+  requireRole("admin"),
+  validate("setUserRole"),
+  setUserRole
+);
 
 // check user route
 router.get("/check", authMiddleware, checkUser);
 
-router.post("/forget-password", forgetPassword);
+router.post(
+  "/forget-password",
+  emailLimit,
+  validate("forgetPassword"),
+  forgetPassword
+);
+
+// email verification link from the email, and sending a new one
+router.post("/verify-email/:token", validate("tokenLink"), verifyEmail);
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  emailLimit,
+  resendVerification
+);
+
+// password reset link from the email
+router.get("/reset-password/:token", validate("tokenLink"), checkResetToken);
+router.post("/reset-password/:token", validate("resetPassword"), resetPassword);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const voteRoute = express.Router();
+const middleware = require("../middleware/authMiddleware");
+const postingGuard = require("../middleware/postingGuard");
+const { validate } = require("../middleware/validate");
+const { castVote, retractVote } = require("../controller/voteController");
+
+// :post_type is "question" or "answer"
+// Cast or change a vote - body: { value: 1 | -1 }
+voteRoute.put(
+  "/:post_type/:post_id",
+  middleware,
+  validate("castVote"),
+  postingGuard,
+  castVote
+);
+// Retract a vote
+voteRoute.delete(
+  "/:post_type/:post_id",
+  middleware,
+  validate("post"),
+  postingGuard,
+  retractVote
+);
+
+module.exports = voteRoute;
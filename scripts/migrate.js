@@ -0,0 +1,62 @@
+// Apply, roll back or list database migrations (db/migrations)
+// Usage: npm run migrate
+//        npm run migrate:rollback [-- --steps=<n>]
+//        npm run migrate:status
+const dbConnection = require("../db/dbConfig");
+const { migrate, rollback, status } = require("../db/migrator");
+
+const COMMANDS = {
+  async up() {
+    const applied = await migrate(dbConnection);
+    console.log(
+      applied.length
+        ? `Applied ${applied.length} migration(s)`
+        : "Database is up to date"
+    );
+  },
+
+  async down(args) {
+    const option = args.find((arg) => arg.startsWith("--steps="));
+    const steps = option ? Number(option.split("=")[1]) : 1;
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error("--steps must be a positive whole number");
+    }
+
+    const rolledBack = await rollback(dbConnection, { steps });
+    console.log(
+      rolledBack.length
+        ? `Rolled back ${rolledBack.length} migration(s)`
+        : "Nothing to roll back"
+    );
+  },
+
+  async status() {
+    for (const migration of await status(dbConnection)) {
+      const state = migration.missing
+        ? "applied, file missing"
+        : migration.applied_at
+          ? `applied ${new Date(migration.applied_at).toISOString()}`
+          : "pending";
+      console.log(`${migration.version.padEnd(40)} ${state}`);
+    }
+  },
+};
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+    }
+    await COMMANDS[command](args);
+  } catch (error) {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbConnection.end();
+  }
+}
+
+main();
@@ -0,0 +1,27 @@
+// Permanently remove questions and answers that were soft deleted longer ago
+// than the retention period (DELETED_RETENTION_DAYS, default 30). Meant to
+// run from cron.
+// Usage: npm run purge:deleted
+const dbConnection = require("../db/dbConfig");
+const { purgeDeletedPosts, DELETED_RETENTION_DAYS } = require("../utils/posts");
+
+async function main() {
+  const connection = await dbConnection.getConnection();
+  try {
+    await connection.beginTransaction();
+    const { questions, answers } = await purgeDeletedPosts(connection);
+    await connection.commit();
+    console.log(
+      `Purged ${questions} questions and ${answers} answers deleted more than ${DELETED_RETENTION_DAYS} days ago`
+    );
+  } catch (error) {
+    await connection.rollback();
+    console.error("Purge failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    connection.release();
+    await dbConnection.end();
+  }
+}
+
+main();
@@ -0,0 +1,18 @@
+// Rebuild every user's cached reputation total from the reputation ledger
+// Usage: npm run reputation:recompute
+const dbConnection = require("../db/dbConfig");
+const { recomputeAllReputation } = require("../utils/reputation");
+
+async function main() {
+  try {
+    const updated = await recomputeAllReputation(dbConnection);
+    console.log(`Recomputed reputation for ${updated} users`);
+  } catch (error) {
+    console.error("Reputation recompute failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbConnection.end();
+  }
+}
+
+main();
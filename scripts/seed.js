@@ -0,0 +1,331 @@
+// Fill the database with generated users, questions, answers and votes for
+// local development. Earlier seed data (accounts @seed.evangadi.test,
+// everything they posted, and what anyone else attached to those posts) is
+// replaced; other data is left alone.
+// Usage: npm run seed [-- --size=<questions>] [--seed=<value>] [--months=<n>]
+//        size defaults to 50, seed to 1, months to 12
+const bcrypt = require("bcrypt");
+const dbConnection = require("../db/dbConfig");
+const {
+  SEED_PASSWORD,
+  SEED_EMAIL_DOMAIN,
+  generateSeedData,
+} = require("../db/seedData");
+const {
+  REPUTATION_POINTS,
+  recomputeAllReputation,
+} = require("../utils/reputation");
+const { POST_TYPES } = require("../utils/posts");
+
+const CHUNK_SIZE = 1000;
+
+// --name=value arguments as an object
+function parseArgs(args) {
+  return Object.fromEntries(
+    args
+      .filter((arg) => arg.startsWith("--"))
+      .map((arg) => {
+        const [name, value = ""] = arg.slice(2).split("=");
+        return [name, value];
+      })
+  );
+}
+
+function positiveInt(value, fallback, name) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+// Multi-row INSERT in chunks, for rows nothing else refers to by id
+async function insertRows(connection, table, columns, rows) {
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    await connection.query(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES ?`,
+      [rows.slice(i, i + CHUNK_SIZE)]
+    );
+  }
+}
+
+// One INSERT per row, returning the id of every row. The ids of a multi-row
+// INSERT can't be worked out from insertId alone: they skip values with
+// auto_increment_increment > 1 and can interleave with other inserts.
+async function insertEach(connection, table, columns, rows) {
+  const ids = [];
+  for (const row of rows) {
+    const [result] = await connection.query(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES (?)`,
+      [row]
+    );
+    ids.push(result.insertId);
+  }
+  return ids;
+}
+
+// Remove earlier seed data. Deleting the seed users cascades to their posts,
+// votes, comments, flags, sessions and revisions, but rows that point at a
+// post only by (post_type, post_id) don't cascade: those left by other users
+// on seed posts are deleted here, as are the reputation and scores seed
+// accounts gave to other users' posts.
+async function removeSeedData(connection) {
+  const [users] = await connection.query(
+    "SELECT user_id FROM userTable WHERE email LIKE ?",
+    [`%@${SEED_EMAIL_DOMAIN}`]
+  );
+  if (users.length === 0) return;
+  const userIds = users.map((user) => user.user_id);
+
+  const [questions] = await connection.query(
+    "SELECT question_id FROM questionTable WHERE user_id IN (?)",
+    [userIds]
+  );
+  const questionIds = questions.map((question) => question.question_id);
+  const [answers] = await connection.query(
+    `SELECT answer_id FROM answerTable
+     WHERE user_id IN (?) OR question_id IN (?)`,
+    [userIds, questionIds.length ? questionIds : [0]]
+  );
+  const postIds = {
+    question: questionIds,
+    answer: answers.map((answer) => answer.answer_id),
+  };
+
+  for (const [postType, ids] of Object.entries(postIds)) {
+    if (ids.length === 0) continue;
+    for (const table of [
+      "voteTable",
+      "commentTable",
+      "revisionTable",
+      "reputationTable",
+    ]) {
+      await connection.query(
+        `DELETE FROM ${table} WHERE post_type = ? AND post_id IN (?)`,
+        [postType, ids]
+      );
+    }
+    await connection.query(
+      "DELETE FROM flagTable WHERE target_type = ? AND target_id IN (?)",
+      [postType, ids]
+    );
+  }
+  await connection.query(
+    "DELETE FROM flagTable WHERE target_type = 'user' AND target_id IN (?)",
+    [userIds]
+  );
+
+  if (postIds.answer.length) {
+    await connection.query(
+      "UPDATE questionTable SET accepted_answer_id = NULL WHERE accepted_answer_id IN (?)",
+      [postIds.answer]
+    );
+  }
+
+  // Votes seed accounts cast on other users' posts
+  const [voted] = await connection.query(
+    "SELECT DISTINCT post_type, post_id FROM voteTable WHERE user_id IN (?)",
+    [userIds]
+  );
+  await connection.query("DELETE FROM reputationTable WHERE actor_id IN (?)", [
+    userIds,
+  ]);
+
+  await connection.query("DELETE FROM userTable WHERE user_id IN (?)", [
+    userIds,
+  ]);
+
+  for (const { post_type, post_id } of voted) {
+    const { table, idColumn } = POST_TYPES[post_type];
+    await connection.query(
+      `UPDATE ${table} SET score = (
+        SELECT COALESCE(SUM(value), 0) FROM voteTable
+        WHERE post_type = ? AND post_id = ?
+      ) WHERE ${idColumn} = ?`,
+      [post_type, post_id, post_id]
+    );
+  }
+}
+
+async function seed(connection, data) {
+  await removeSeedData(connection);
+
+  // One hash for everyone; bcrypt is deliberately slow
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+
+  const userIds = await insertEach(
+    connection,
+    "userTable",
+    [
+      "user_name",
+      "first_name",
+      "last_name",
+      "email",
+      "password",
+      "email_verified",
+      "role",
+      "createdAt",
+    ],
+    data.users.map((user) => [
+      user.user_name,
+      user.first_name,
+      user.last_name,
+      user.email,
+      password,
+      1,
+      user.role,
+      user.createdAt,
+    ])
+  );
+
+  const questionIds = await insertEach(
+    connection,
+    "questionTable",
+    ["user_id", "title", "question_description", "score", "createdAt"],
+    data.questions.map((question) => [
+      userIds[question.userIndex],
+      question.title,
+      question.question_description,
+      question.score,
+      question.createdAt,
+    ])
+  );
+
+  const tagNames = [...new Set(data.questions.flatMap((q) => q.tags))];
+  if (tagNames.length) {
+    await connection.query("INSERT IGNORE INTO tagTable (name) VALUES ?", [
+      tagNames.map((name) => [name]),
+    ]);
+    const [tags] = await connection.query(
+      "SELECT tag_id, name FROM tagTable WHERE name IN (?)",
+      [tagNames]
+    );
+    const tagIds = new Map(tags.map((tag) => [tag.name, tag.tag_id]));
+
+    await insertRows(
+      connection,
+      "questionTagTable",
+      ["question_id", "tag_id"],
+      data.questions.flatMap((question, index) =>
+        question.tags.map((tag) => [questionIds[index], tagIds.get(tag)])
+      )
+    );
+  }
+
+  const answerIds = await insertEach(
+    connection,
+    "answerTable",
+    ["user_id", "question_id", "answer", "score", "createdAt"],
+    data.answers.map((answer) => [
+      userIds[answer.userIndex],
+      questionIds[answer.questionIndex],
+      answer.answer,
+      answer.score,
+      answer.createdAt,
+    ])
+  );
+
+  for (const [index, question] of data.questions.entries()) {
+    if (question.acceptedAnswerIndex === null) continue;
+    await connection.query(
+      "UPDATE questionTable SET accepted_answer_id = ? WHERE question_id = ?",
+      [answerIds[question.acceptedAnswerIndex], questionIds[index]]
+    );
+  }
+
+  // Votes and the reputation they earn, as if they were cast through the API
+  const postIds = { question: questionIds, answer: answerIds };
+  const postAuthors = {
+    question: data.questions.map((q) => userIds[q.userIndex]),
+    answer: data.answers.map((a) => userIds[a.userIndex]),
+  };
+
+  await insertRows(
+    connection,
+    "voteTable",
+    ["user_id", "post_type", "post_id", "value"],
+    data.votes.map((vote) => [
+      userIds[vote.userIndex],
+      vote.postType,
+      postIds[vote.postType][vote.postIndex],
+      vote.value,
+    ])
+  );
+
+  const ledger = data.votes.map((vote) => {
+    const eventType = `${vote.postType}_${vote.value > 0 ? "upvote" : "downvote"}`;
+    return [
+      postAuthors[vote.postType][vote.postIndex],
+      userIds[vote.userIndex],
+      eventType,
+      vote.postType,
+      postIds[vote.postType][vote.postIndex],
+      REPUTATION_POINTS[eventType],
+    ];
+  });
+
+  data.questions.forEach((question, index) => {
+    if (question.acceptedAnswerIndex === null) return;
+    const answer = data.answers[question.acceptedAnswerIndex];
+    // Accepting your own answer earns nothing
+    if (answer.userIndex === question.userIndex) return;
+    ledger.push([
+      userIds[answer.userIndex],
+      userIds[question.userIndex],
+      "answer_accepted",
+      "answer",
+      answerIds[question.acceptedAnswerIndex],
+      REPUTATION_POINTS.answer_accepted,
+    ]);
+  });
+
+  await insertRows(
+    connection,
+    "reputationTable",
+    ["user_id", "actor_id", "event_type", "post_type", "post_id", "points"],
+    ledger
+  );
+  await recomputeAllReputation(connection);
+}
+
+async function main() {
+  const connection = await dbConnection.getConnection();
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const options = {
+      seed: args.seed || "1",
+      size: positiveInt(args.size, 50, "size"),
+      months: positiveInt(args.months, 12, "months"),
+    };
+
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("Refusing to seed a production database");
+    }
+
+    const data = generateSeedData(options);
+
+    await connection.beginTransaction();
+    await seed(connection, data);
+    await connection.commit();
+
+    console.log(
+      `Seeded ${data.users.length} users, ${data.questions.length} questions, ` +
+        `${data.answers.length} answers and ${data.votes.length} votes ` +
+        `(seed ${options.seed}, ${options.months} months)`
+    );
+    console.log(
+      `Log in as user1@${SEED_EMAIL_DOMAIN} (admin), user2@${SEED_EMAIL_DOMAIN} ` +
+        `(moderator) or user3@${SEED_EMAIL_DOMAIN}; password: ${SEED_PASSWORD}`
+    );
+  } catch (error) {
+    await connection.rollback();
+    console.error("Seeding failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    connection.release();
+    await dbConnection.end();
+  }
+}
+
+main();
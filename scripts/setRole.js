@@ -0,0 +1,36 @@
+// Give a user a role from the command line, e.g. to create the first admin
+// Usage: npm run user:role -- <email> <user|moderator|admin>
+const dbConnection = require("../db/dbConfig");
+const { ROLES } = require("../utils/policy");
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run user:role -- <email> <${ROLES.join("|")}>`);
+    process.exitCode = 1;
+    await dbConnection.end();
+    return;
+  }
+
+  try {
+    const [result] = await dbConnection.query(
+      "UPDATE userTable SET role = ? WHERE email = ?",
+      [role, email]
+    );
+
+    if (result.affectedRows === 0) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${email} is now ${role}`);
+    }
+  } catch (error) {
+    console.error("Setting role failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbConnection.end();
+  }
+}
+
+main();
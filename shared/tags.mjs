@@ -0,0 +1,19 @@
+// Tag name normalization, shared by the API (utils/tags.js) and the
+// validation rules (shared/validator.mjs) so tag lists are counted the way
+// they are saved
+
+export const MAX_TAG_LENGTH = 40;
+
+// "Node JS" -> "node-js", "C#" -> "c#", ".NET" -> ".net",
+// "  React_Hooks " -> "react-hooks", "日本語" -> "日本語", "Çağ" -> "çağ"
+export function normalizeTag(raw) {
+  const tag = String(raw || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{M}\p{N}+#.-]/gu, "")
+    .replace(/-+/g, "-")
+    .replace(/^-+|[-.]+$/g, "");
+  // Counted in characters like the VARCHAR(40) column, not UTF-16 units
+  return Array.from(tag).slice(0, MAX_TAG_LENGTH).join("");
+}
@@ -0,0 +1,200 @@
+// Declarative validation, shared by the API (utils/validation.js) and the
+// client forms (client/src/utils/validation.js) so both check exactly the
+// same thing. The rules live in shared/validation.json:
+//   fields   - reusable field rules
+//   requests - per-route schemas { params, query, body }, mapping each field
+//              to a rule or to the name of one in `fields`
+//   messages - error texts; {label} and the rule's options are filled in
+// A rule may have:
+//   type        "string" (default), "integer" or "list" (an array or a comma
+//               separated string)
+//   required    the field must be present (and not blank when trimmed)
+//   trim        surrounding whitespace is not part of the value: it is
+//               checked without it, and trimFields() removes it
+//   minLength, maxLength - strings, in characters
+//   maxBytes    strings, in bytes of UTF-8 (what a TEXT column holds)
+//   pattern     strings
+//   min, max    integers
+//   maxItems    lists
+//   normalize   lists: "tag" counts items as saved, normalized and without
+//               duplicates or empty ones
+//   values      allowed values, compared as text
+//   label       name used in messages (default: built from the field name)
+//   messages    overrides of the default messages, by check
+import { normalizeTag } from "./tags.mjs";
+
+const SOURCES = ["params", "query", "body"];
+
+const NORMALIZERS = { tag: normalizeTag };
+
+// "question_id" -> "Question id"
+const labelFor = (name) => {
+  const words = name.replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// ["a", "b", "c"] -> "a, b or c"
+const joinValues = (values) =>
+  values.length > 1
+    ? `${values.slice(0, -1).join(", ")} or ${values[values.length - 1]}`
+    : String(values[0]);
+
+const encoder = new TextEncoder();
+
+// Items of a list value as they count, or null when it isn't a list
+function listItems(rule, value) {
+  const items = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(items)) return null;
+
+  const normalize = NORMALIZERS[rule.normalize];
+  if (!normalize) return items.filter((item) => String(item).trim());
+  return [...new Set(items.map(normalize).filter(Boolean))];
+}
+
+export function createValidator(definitions) {
+  function formatMessage(rule, check) {
+    const template = rule.messages?.[check] || definitions.messages[check];
+    return template.replace(/\{(\w+)\}/g, (_, key) =>
+      key === "values" ? joinValues(rule.values) : String(rule[key])
+    );
+  }
+
+  // A field name from `fields` or an inline rule -> the rule, with its label
+  function resolveRule(rule, name) {
+    const resolved = typeof rule === "string" ? definitions.fields[rule] : rule;
+    if (!resolved) {
+      throw new Error(`Unknown validation field "${rule}" (for ${name})`);
+    }
+    return { label: labelFor(name), ...resolved };
+  }
+
+  function resolveSchema(schema) {
+    const resolved = {};
+    for (const source of SOURCES) {
+      if (!schema[source]) continue;
+      resolved[source] = Object.fromEntries(
+        Object.entries(schema[source]).map(([name, rule]) => [
+          name,
+          resolveRule(rule, name),
+        ])
+      );
+    }
+    return resolved;
+  }
+
+  // Request schemas by name, resolved up front so a typo fails at startup,
+  // e.g. schemas.createQuestion.body.title
+  const schemas = Object.fromEntries(
+    Object.entries(definitions.requests).map(([name, schema]) => [
+      name,
+      resolveSchema(schema),
+    ])
+  );
+
+  // The error message for one value, or null when it is valid. Empty strings
+  // count as missing (e.g. ?sort= in a query string).
+  function fieldError(rule, value) {
+    if (rule.trim && typeof value === "string") value = value.trim();
+    if (value === undefined || value === null || value === "") {
+      return rule.required ? formatMessage(rule, "required") : null;
+    }
+
+    if (rule.values) {
+      return rule.values.map(String).includes(String(value))
+        ? null
+        : formatMessage(rule, "values");
+    }
+
+    const type = rule.type || "string";
+
+    if (type === "integer") {
+      const valid =
+        typeof value === "number"
+          ? Number.isInteger(value)
+          : typeof value === "string" && /^-?\d+$/.test(value.trim());
+      if (!valid) return formatMessage(rule, "integer");
+
+      const number = Number(value);
+      if (rule.min !== undefined && number < rule.min) {
+        return formatMessage(rule, "min");
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return formatMessage(rule, "max");
+      }
+      return null;
+    }
+
+    if (type === "list") {
+      const items = listItems(rule, value);
+      if (!items) return formatMessage(rule, "list");
+
+      if (!items.length && rule.required) {
+        return formatMessage(rule, "required");
+      }
+      if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+        return formatMessage(rule, "maxItems");
+      }
+      return null;
+    }
+
+    if (typeof value !== "string") return formatMessage(rule, "string");
+    // In characters: "é" or an emoji is one, as in a VARCHAR column
+    const length = Array.from(value).length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return formatMessage(rule, "minLength");
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return formatMessage(rule, "maxLength");
+    }
+    if (
+      rule.maxBytes !== undefined &&
+      encoder.encode(value).length > rule.maxBytes
+    ) {
+      return formatMessage(rule, "maxBytes");
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      return formatMessage(rule, "pattern");
+    }
+    return null;
+  }
+
+  // Check values against a set of field rules (e.g. schemas.register.body).
+  // Returns { field: message }, or null when they are valid.
+  function formErrors(rules, values) {
+    const errors = {};
+    for (const [name, rule] of Object.entries(rules || {})) {
+      const error = fieldError(rule, values?.[name]);
+      if (error) errors[name] = error;
+    }
+    return Object.keys(errors).length ? errors : null;
+  }
+
+  // Check a request's params, query and body against a resolved schema.
+  // Returns { field: message } for the invalid fields, or null.
+  function validateRequest(schema, req) {
+    const errors = {};
+
+    for (const source of SOURCES) {
+      const values = req[source] || {};
+      for (const [name, rule] of Object.entries(schema[source] || {})) {
+        const error = fieldError(rule, values[name]);
+        if (error && !errors[name]) errors[name] = error;
+      }
+    }
+
+    return Object.keys(errors).length ? errors : null;
+  }
+
+  // A copy of `values` with the strings of `trim` rules trimmed
+  function trimFields(rules, values) {
+    const trimmed = { ...values };
+    for (const [name, rule] of Object.entries(rules || {})) {
+      if (rule.trim && typeof trimmed[name] === "string") {
+        trimmed[name] = trimmed[name].trim();
+      }
+    }
+    return trimmed;
+  }
+
+  return { schemas, fieldError, formErrors, validateRequest, trimFields };
+}
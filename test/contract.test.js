@@ -0,0 +1,133 @@
+// Contract test between the routes and the OpenAPI document (docs/openapi.js).
+// Fails when a route is added, removed, renamed or changes its auth without
+// the document following, and when a documented path isn't served.
+// Runs without a database: requests are turned away by auth or validation
+// before any query, which is enough to tell a route exists.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const app = require("../app");
+const dbConnection = require("../db/dbConfig");
+const openapi = require("../docs/openapi");
+const authMiddleware = require("../middleware/authMiddleware");
+
+// The routers the document covers, by the path app.js mounts them on
+const MOUNTS = {
+  "/api/users": require("../routes/userRoutes"),
+  "/api/question": require("../routes/questionRoutes"),
+  "/api/answers": require("../routes/answerRoute"),
+};
+
+// /:question_id/accept -> /{question_id}/accept
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+function routerRoutes() {
+  const routes = [];
+  for (const [mount, router] of Object.entries(MOUNTS)) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const { path, methods, stack } = layer.route;
+      for (const method of Object.keys(methods)) {
+        routes.push({
+          method,
+          path: mount + (path === "/" ? "" : toOpenApiPath(path)),
+          auth: stack.some((handler) => handler.handle === authMiddleware),
+        });
+      }
+    }
+  }
+  return routes;
+}
+
+function documentedOperations() {
+  const operations = [];
+  for (const [path, item] of Object.entries(openapi.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      operations.push({ method, path, operation });
+    }
+  }
+  return operations;
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await dbConnection.end();
+});
+
+test("every route is documented, with its auth", () => {
+  for (const route of routerRoutes()) {
+    const name = `${route.method.toUpperCase()} ${route.path}`;
+    const operation = openapi.paths[route.path]?.[route.method];
+    assert.ok(operation, `${name} is missing from docs/openapi.js`);
+
+    const documentedAuth = (operation.security || openapi.security || [])
+      .length;
+    assert.equal(
+      Boolean(documentedAuth),
+      route.auth,
+      `${name}: the document says auth is ${documentedAuth ? "" : "not "}required`
+    );
+  }
+});
+
+test("every documented operation is a route", () => {
+  const routes = new Set(
+    routerRoutes().map((route) => `${route.method} ${route.path}`)
+  );
+  for (const { method, path } of documentedOperations()) {
+    assert.ok(
+      routes.has(`${method} ${path}`),
+      `${method.toUpperCase()} ${path} is documented but not routed`
+    );
+  }
+});
+
+test("documented path parameters match the route", () => {
+  for (const { method, path, operation } of documentedOperations()) {
+    const inPath = [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    const documented = (operation.parameters || [])
+      .filter((parameter) => parameter.in === "path")
+      .map((parameter) => parameter.name);
+    assert.deepEqual(
+      documented.sort(),
+      inPath.sort(),
+      `${method.toUpperCase()} ${path}: path parameters`
+    );
+  }
+});
+
+test("every documented path is served by the app", async () => {
+  for (const { method, path, operation } of documentedOperations()) {
+    const url = path.replace(/\{(\w+)\}/g, "1");
+    const res = await fetch(baseUrl + url, {
+      method: method.toUpperCase(),
+      headers: { "Content-Type": "application/json" },
+      body: operation.requestBody ? "{}" : undefined,
+    });
+    const body = await res.json();
+
+    assert.notEqual(
+      body.error?.message,
+      "Route not found",
+      `${method.toUpperCase()} ${path} is not served (is the router mounted?)`
+    );
+    if (operation.security?.length) {
+      assert.equal(
+        res.status,
+        401,
+        `${method.toUpperCase()} ${path} answers without a token`
+      );
+    }
+  }
+});
@@ -0,0 +1,70 @@
+// Word level diffs between revisions (utils/diff.js)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toPlainText, diffWords, diffTags } = require("../utils/diff");
+
+// Both sides of a diff, rebuilt from its parts
+function sides(parts) {
+  const pick = (skip) =>
+    parts
+      .filter((part) => part.type !== skip)
+      .map((part) => part.value)
+      .join("");
+  return { before: pick("insert"), after: pick("delete") };
+}
+
+test("diffWords of equal texts is one equal part", () => {
+  assert.deepEqual(diffWords("same text", "same text"), [
+    { type: "equal", value: "same text" },
+  ]);
+});
+
+test("diffWords marks a changed word", () => {
+  assert.deepEqual(diffWords("the quick fox", "the slow fox"), [
+    { type: "equal", value: "the " },
+    { type: "delete", value: "quick" },
+    { type: "insert", value: "slow" },
+    { type: "equal", value: " fox" },
+  ]);
+});
+
+test("diffWords marks added and removed words", () => {
+  assert.deepEqual(diffWords("a b c", "a c d"), [
+    { type: "equal", value: "a " },
+    { type: "delete", value: "b " },
+    { type: "equal", value: "c" },
+    { type: "insert", value: " d" },
+  ]);
+});
+
+test("diffWords from and to empty text", () => {
+  assert.deepEqual(diffWords("", "new text"), [
+    { type: "insert", value: "new text" },
+  ]);
+  assert.deepEqual(diffWords("old text", ""), [
+    { type: "delete", value: "old text" },
+  ]);
+  assert.deepEqual(diffWords("", ""), []);
+});
+
+test("diffWords parts rebuild both texts", () => {
+  const before = "Why does my  useEffect run twice?\nIt logs twice in dev.";
+  const after = "Why does useEffect run twice in React 18?\nIt logs twice.";
+  assert.deepEqual(sides(diffWords(before, after)), { before, after });
+});
+
+test("toPlainText turns editor HTML into readable text", () => {
+  assert.equal(
+    toPlainText("<p>Hello <b>world</b></p><p>a &lt; b &amp;&nbsp;c</p>"),
+    "Hello world\na < b & c"
+  );
+  assert.equal(toPlainText(null), "");
+});
+
+test("diffTags reports added and removed tags", () => {
+  assert.deepEqual(diffTags(["react", "hooks"], ["react", "redux"]), {
+    added: ["redux"],
+    removed: ["hooks"],
+  });
+});
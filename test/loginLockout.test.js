@@ -0,0 +1,63 @@
+// Lockout after repeated failed logins (utils/loginLockout.js), with the
+// default LOGIN_LOCKOUT of 5 failures in 15 minutes
+process.env.RATE_LIMIT_STORE = "memory";
+delete process.env.LOGIN_LOCKOUT;
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  lockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../utils/loginLockout");
+
+const NOW = 1_000_000;
+const WINDOW = 15 * 60 * 1000;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["Date"], now: NOW });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+async function failLogins(email, times) {
+  let result = null;
+  for (let i = 0; i < times; i++) result = await recordFailedLogin(email);
+  return result;
+}
+
+test("the fifth failure locks the address until the window ends", async () => {
+  assert.equal(await failLogins("lock@example.com", 4), null);
+  assert.equal(await lockedUntil("lock@example.com"), null);
+
+  assert.equal(await recordFailedLogin("lock@example.com"), NOW + WINDOW);
+  assert.equal(await lockedUntil("lock@example.com"), NOW + WINDOW);
+});
+
+test("failures are counted per address, whatever its case", async () => {
+  await failLogins(" Case@Example.com ", 5);
+
+  assert.equal(await lockedUntil("case@example.com"), NOW + WINDOW);
+  assert.equal(await lockedUntil("other@example.com"), null);
+});
+
+test("the lockout resets when the window is over", async () => {
+  await failLogins("expire@example.com", 5);
+
+  mock.timers.tick(WINDOW);
+  assert.equal(await lockedUntil("expire@example.com"), null);
+  // Counting starts over
+  assert.equal(await failLogins("expire@example.com", 4), null);
+  assert.equal(await lockedUntil("expire@example.com"), null);
+});
+
+test("a successful login clears the failures", async () => {
+  await failLogins("clear@example.com", 5);
+
+  await clearFailedLogins("clear@example.com");
+  assert.equal(await lockedUntil("clear@example.com"), null);
+  assert.equal(await failLogins("clear@example.com", 4), null);
+});
@@ -0,0 +1,123 @@
+// Fixed-window rate limiting with the memory store (utils/rateLimit.js)
+process.env.RATE_LIMIT_STORE = "memory";
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createMemoryStore,
+  parseLimit,
+  hit,
+  peekHits,
+  rateLimit,
+} = require("../utils/rateLimit");
+const { TooManyRequestsError } = require("../utils/errors");
+
+const MINUTE = 60 * 1000;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test("parseLimit reads <max>/<window> and off", () => {
+  assert.deepEqual(parseLimit("20/15m"), { max: 20, windowMs: 15 * MINUTE });
+  assert.deepEqual(parseLimit("", "3/2h"), {
+    max: 3,
+    windowMs: 2 * 60 * MINUTE,
+  });
+  assert.equal(parseLimit("off"), null);
+  assert.throws(() => parseLimit("20 per minute"), /Invalid rate limit/);
+});
+
+test("memory store counts hits within a window", async () => {
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.increment("k", MINUTE), {
+    count: 1,
+    resetAt: 1_000_000 + MINUTE,
+  });
+  mock.timers.tick(30 * 1000);
+  assert.deepEqual(await store.increment("k", MINUTE), {
+    count: 2,
+    resetAt: 1_000_000 + MINUTE,
+  });
+  assert.equal((await store.peek("k")).count, 2);
+});
+
+test("memory store starts a new window once the old one is over", async () => {
+  const store = createMemoryStore();
+  await store.increment("k", MINUTE);
+  await store.increment("k", MINUTE);
+
+  mock.timers.tick(MINUTE);
+  assert.equal(await store.peek("k"), null);
+  assert.deepEqual(await store.increment("k", MINUTE), {
+    count: 1,
+    resetAt: 1_000_000 + 2 * MINUTE,
+  });
+});
+
+test("memory store reset forgets a key", async () => {
+  const store = createMemoryStore();
+  await store.increment("k", MINUTE);
+  await store.reset("k");
+  assert.equal(await store.peek("k"), null);
+});
+
+test("hit limits past max until the window ends", async () => {
+  const limit = { max: 2, windowMs: MINUTE };
+
+  assert.equal((await hit("test-hit", "a", limit)).remaining, 1);
+  assert.equal((await hit("test-hit", "a", limit)).limited, false);
+  assert.equal((await hit("test-hit", "a", limit)).limited, true);
+  // Other keys have their own counter
+  assert.equal((await hit("test-hit", "b", limit)).limited, false);
+
+  mock.timers.tick(MINUTE);
+  assert.equal(await peekHits("test-hit", "a"), null);
+  assert.equal((await hit("test-hit", "a", limit)).limited, false);
+});
+
+test("rateLimit middleware sets headers and rejects with 429", async () => {
+  const limiter = rateLimit({
+    name: "test-middleware",
+    limit: { max: 1, windowMs: MINUTE },
+    message: "Slow down",
+  });
+  const headers = {};
+  const req = { ip: "10.0.0.1" };
+  const res = { set: (values) => Object.assign(headers, values) };
+  let passed = 0;
+
+  await limiter(req, res, () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(headers["RateLimit-Remaining"], 0);
+  assert.equal(headers["RateLimit-Reset"], 60);
+
+  await assert.rejects(
+    limiter(req, res, () => passed++),
+    (error) =>
+      error instanceof TooManyRequestsError && error.message === "Slow down"
+  );
+  assert.equal(passed, 1);
+
+  mock.timers.tick(MINUTE);
+  await limiter(req, res, () => passed++);
+  assert.equal(passed, 2);
+});
+
+test("rateLimit middleware skips requests without a key", async () => {
+  const limiter = rateLimit({
+    name: "test-skip",
+    limit: { max: 0, windowMs: MINUTE },
+    key: (req) => req.user?.userid,
+  });
+  let passed = 0;
+
+  await limiter({}, {}, () => passed++);
+  assert.equal(passed, 1);
+});
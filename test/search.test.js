@@ -0,0 +1,123 @@
+// Search query parsing, boolean query building and snippets (utils/search.js)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseSearchQuery,
+  toBooleanQuery,
+  likePattern,
+  exclusionConditions,
+  highlightPattern,
+  makeSnippet,
+} = require("../utils/search");
+
+test("parseSearchQuery splits terms, phrases and operators", () => {
+  assert.deepEqual(
+    parseSearchQuery('react "use effect" tag:hooks user:"abdi k" foo:bar'),
+    {
+      terms: ["react"],
+      literals: ["foo:bar"],
+      phrases: ["use effect"],
+      excluded: [],
+      tags: ["hooks"],
+      users: ["abdi k"],
+    }
+  );
+});
+
+test('parseSearchQuery reads -word and -"phrase" as exclusions', () => {
+  const parsed = parseSearchQuery('hooks -class -"higher order"');
+  assert.deepEqual(parsed.terms, ["hooks"]);
+  assert.deepEqual(parsed.excluded, ["class", "higher order"]);
+});
+
+test("parseSearchQuery keeps terms with symbols whole", () => {
+  const parsed = parseSearchQuery("c++ c# node.js +required");
+  assert.deepEqual(parsed.literals, ["c++", "c#", "node.js"]);
+  assert.deepEqual(parsed.terms, ["required"]);
+});
+
+test("parseSearchQuery splits at boolean mode syntax", () => {
+  assert.deepEqual(parseSearchQuery("a*b (foo) ~bar").terms, [
+    "a",
+    "b",
+    "foo",
+    "bar",
+  ]);
+});
+
+test("toBooleanQuery requires terms and phrases", () => {
+  const parsed = parseSearchQuery('React the "use effect" -class -"old api"');
+  assert.equal(toBooleanQuery(parsed), '+react* +"use effect"');
+});
+
+test("toBooleanQuery returns no query when nothing is searchable", () => {
+  assert.equal(toBooleanQuery(parseSearchQuery("a*b")), "");
+  assert.equal(toBooleanQuery(parseSearchQuery("the of -react")), "");
+});
+
+const NOT_MATCH =
+  "NOT MATCH(q.title, q.question_description) AGAINST (? IN BOOLEAN MODE)";
+const NOT_LIKE = "q.title NOT LIKE ? AND q.question_description NOT LIKE ?";
+
+test("exclusions apply when the search has full-text terms", () => {
+  assert.deepEqual(
+    exclusionConditions(parseSearchQuery('hooks -class -"old api" -the')),
+    { conditions: [NOT_MATCH], params: ['class "old api"'] }
+  );
+});
+
+test("exclusions apply to searches with only literal terms", () => {
+  const parsed = parseSearchQuery("c++ -java -c#");
+  assert.equal(toBooleanQuery(parsed), "");
+  assert.deepEqual(exclusionConditions(parsed), {
+    conditions: [NOT_MATCH, NOT_LIKE],
+    params: ["java", "%c#%", "%c#%"],
+  });
+});
+
+test("exclusions apply to searches with only operators", () => {
+  const parsed = parseSearchQuery("tag:react -foo");
+  assert.equal(toBooleanQuery(parsed), "");
+  assert.deepEqual(exclusionConditions(parsed), {
+    conditions: [NOT_MATCH],
+    params: ["foo"],
+  });
+});
+
+test("no exclusion conditions without exclusions", () => {
+  assert.deepEqual(exclusionConditions(parseSearchQuery("react hooks")), {
+    conditions: [],
+    params: [],
+  });
+});
+
+test("likePattern escapes LIKE wildcards", () => {
+  assert.equal(likePattern("c++"), "%c++%");
+  assert.equal(likePattern("100%_x"), "%100\\%\\_x%");
+});
+
+test("makeSnippet highlights matches and escapes HTML", () => {
+  const pattern = highlightPattern(parseSearchQuery("react c++"));
+  assert.equal(
+    makeSnippet("<p>React &amp; C++ <b>rock</b></p>", pattern),
+    "<mark>React</mark> &amp; <mark>C++</mark> rock"
+  );
+});
+
+test("makeSnippet cuts a window around the first match", () => {
+  const text = `${"filler ".repeat(60)}needle ${"filler ".repeat(60)}`;
+  const snippet = makeSnippet(
+    text,
+    highlightPattern({ terms: ["needle"], phrases: [] }),
+    40
+  );
+
+  assert.ok(snippet.startsWith("…"));
+  assert.ok(snippet.endsWith("…"));
+  assert.match(snippet, /<mark>needle<\/mark>/);
+});
+
+test("makeSnippet without a pattern returns the start of the text", () => {
+  assert.equal(makeSnippet("<p>short text</p>", null), "short text");
+});
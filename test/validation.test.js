@@ -0,0 +1,125 @@
+// Request validation with the shared rules (utils/validation.js,
+// shared/validator.mjs)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { schemas, validateRequest, trimFields } = require("../utils/validation");
+
+const question = {
+  title: "How do I use useEffect?",
+  question_description: "<p>It runs twice.</p>",
+};
+
+test("a valid request has no errors", () => {
+  assert.equal(
+    validateRequest(schemas.createQuestion, { body: question }),
+    null
+  );
+});
+
+test("missing and blank required fields are reported by field", () => {
+  assert.deepEqual(
+    validateRequest(schemas.createQuestion, {
+      body: { title: "   ", question_description: "" },
+    }),
+    {
+      title: "Title is required",
+      question_description: "Description is required",
+    }
+  );
+});
+
+test("params, query and body are all checked", () => {
+  assert.deepEqual(
+    validateRequest(schemas.acceptAnswer, {
+      params: { question_id: "abc" },
+      body: { answer_id: 0 },
+    }),
+    {
+      question_id: "Question id must be a whole number",
+      answer_id: "Answer id must be at least 1",
+    }
+  );
+  assert.deepEqual(
+    validateRequest(schemas.listQuestions, { query: { sort: "random" } }),
+    {
+      sort: "Sort must be newest, oldest, most_answered, unanswered or top",
+    }
+  );
+});
+
+test("lengths are checked without surrounding whitespace", () => {
+  assert.deepEqual(
+    validateRequest(schemas.createQuestion, {
+      body: { ...question, title: "  short   " },
+    }),
+    { title: "Title must be at least 10 characters" }
+  );
+});
+
+test("maxLength counts characters, not UTF-16 units", () => {
+  const rule = schemas.createQuestion.body.title;
+  assert.equal(
+    validateRequest(schemas.createQuestion, {
+      body: { ...question, title: "😀".repeat(rule.maxLength) },
+    }),
+    null
+  );
+});
+
+test("descriptions are limited by their size in UTF-8", () => {
+  const { maxBytes } = schemas.createQuestion.body.question_description;
+  const body = (description) => ({
+    body: { ...question, question_description: description },
+  });
+
+  assert.equal(
+    validateRequest(schemas.createQuestion, body("x".repeat(maxBytes))),
+    null
+  );
+  // Fewer characters than bytes allowed, but two bytes each
+  assert.deepEqual(
+    validateRequest(schemas.createQuestion, body("é".repeat(maxBytes / 2 + 1))),
+    { question_description: "Description is too long" }
+  );
+});
+
+test("tags are counted normalized and without duplicates", () => {
+  const tags = (value) =>
+    validateRequest(schemas.createQuestion, {
+      body: { ...question, tags: value },
+    });
+
+  assert.equal(tags("react, React, node js, node-js, ,css,html,sql"), null);
+  assert.equal(tags(["a", "b", "c", "d", "e", "!!!"]), null);
+  assert.deepEqual(tags("a,b,c,d,e,f"), {
+    tags: "A question can have at most 5 tags",
+  });
+  assert.deepEqual(tags({ not: "a list" }), { tags: "Tags must be a list" });
+});
+
+test("patterns and custom messages", () => {
+  assert.deepEqual(
+    validateRequest(schemas.register, {
+      body: {
+        username: "abdi",
+        firstname: "Abdi",
+        lastname: "K",
+        email: "not-an-email",
+        password: "longenough",
+      },
+    }),
+    { email: "Please enter a valid email address" }
+  );
+});
+
+test("trimFields trims only the fields of trim rules", () => {
+  assert.deepEqual(
+    trimFields(schemas.register.body, {
+      username: "  abdi ",
+      password: " secret password ",
+      extra: " kept ",
+    }),
+    { username: "abdi", password: " secret password ", extra: " kept " }
+  );
+});
@@ -0,0 +1,111 @@
+// Word level diffs between two versions of a post
+
+// Above this many cells (tokens x tokens) the changed middle part is reported
+// as one delete + one insert instead of running the LCS table
+const MAX_DIFF_CELLS = 1000000;
+
+// Question descriptions are stored as HTML from the editor; diff the text
+// people read instead of the markup
+function toPlainText(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|pre)>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Words and the whitespace between them, so joining the tokens gives back
+// the original text
+function tokenize(text) {
+  return String(text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+// Append a token to the result, merging it into the previous part when the
+// type is the same
+function push(parts, type, value) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+}
+
+// Returns [{ type: "equal" | "insert" | "delete", value }]
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  // Common prefix and suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let i = 0; i < start; i++) push(parts, "equal", a[i]);
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    midA.forEach((token) => push(parts, "delete", token));
+    midB.forEach((token) => push(parts, "insert", token));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () =>
+      new Array(midB.length + 1).fill(0)
+    );
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(parts, "equal", midA[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push(parts, "delete", midA[i++]);
+      } else {
+        push(parts, "insert", midB[j++]);
+      }
+    }
+    while (i < midA.length) push(parts, "delete", midA[i++]);
+    while (j < midB.length) push(parts, "insert", midB[j++]);
+  }
+
+  for (let i = endA; i < a.length; i++) push(parts, "equal", a[i]);
+
+  return parts;
+}
+
+// Tags are a set, so report what was added and removed
+function diffTags(before = [], after = []) {
+  return {
+    added: after.filter((tag) => !before.includes(tag)),
+    removed: before.filter((tag) => !after.includes(tag)),
+  };
+}
+
+module.exports = { toPlainText, diffWords, diffTags };
@@ -0,0 +1,118 @@
+// Application errors. Controllers and middleware throw these (Express 5
+// forwards errors from async handlers) and middleware/errorHandler.js turns
+// them into the one error shape the API answers with:
+//   {
+//     "error": {
+//       "code": "NOT_FOUND",             // stable, for programs
+//       "message": "Question not found", // for people
+//       "details": { ... }               // only when there is more to say
+//     }
+//   }
+// Codes:
+//   400 VALIDATION_ERROR  details.fields: { field: message }
+//       BAD_REQUEST, INVALID_JSON, INVALID_LINK, ALREADY_REGISTERED,
+//       ALREADY_VERIFIED, NO_SEARCHABLE_TERMS
+//   401 UNAUTHORIZED, INVALID_CREDENTIALS, SESSION_EXPIRED
+//   403 FORBIDDEN, ACCOUNT_SUSPENDED (details.suspended_until),
+//       EMAIL_NOT_VERIFIED
+//   404 NOT_FOUND
+//   409 CONFLICT
+//   410 GONE
+//   429 RATE_LIMITED, ACCOUNT_LOCKED (details.retry_after, in seconds)
+//   500 INTERNAL_ERROR
+const { StatusCodes } = require("http-status-codes");
+
+class AppError extends Error {
+  constructor(
+    message,
+    {
+      status = StatusCodes.INTERNAL_SERVER_ERROR,
+      code = "INTERNAL_ERROR",
+      details,
+    } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = "BAD_REQUEST", details } = {}) {
+    super(message, { status: StatusCodes.BAD_REQUEST, code, details });
+  }
+}
+
+// Invalid fields, as { field: message }; the first one is the message
+class ValidationError extends BadRequestError {
+  constructor(fields) {
+    super(Object.values(fields)[0], {
+      code: "VALIDATION_ERROR",
+      details: { fields },
+    });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(
+    message = "Authentication invalid",
+    { code = "UNAUTHORIZED" } = {}
+  ) {
+    super(message, { status: StatusCodes.UNAUTHORIZED, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(
+    message = "You do not have permission to do this",
+    { code = "FORBIDDEN", details } = {}
+  ) {
+    super(message, { status: StatusCodes.FORBIDDEN, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(message, { status: StatusCodes.NOT_FOUND, code: "NOT_FOUND" });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, { status: StatusCodes.CONFLICT, code: "CONFLICT" });
+  }
+}
+
+// Something that existed is no longer available (e.g. the restore window
+// has passed)
+class GoneError extends AppError {
+  constructor(message) {
+    super(message, { status: StatusCodes.GONE, code: "GONE" });
+  }
+}
+
+// The caller should wait `retryAfter` seconds; errorHandler also sends it as
+// the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, { code = "RATE_LIMITED" } = {}) {
+    super(message, {
+      status: StatusCodes.TOO_MANY_REQUESTS,
+      code,
+      details: { retry_after: retryAfter },
+    });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  TooManyRequestsError,
+};
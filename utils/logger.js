@@ -0,0 +1,114 @@
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"Request completed",
+//    "request_id":"3f1c...","method":"GET","path":"/api/question","status":200}
+//
+//   logger.info("Request completed", { status: 200 });
+//   logger.error("Rate limit store failed", { err });
+//
+// LOG_LEVEL (debug | info | warn | error, default info) drops the lower
+// levels. Inside a request every line carries its request_id (see
+// middleware/requestLogger.js). Passwords, tokens and the like are replaced
+// with "[REDACTED]" wherever they appear in the fields.
+const { AsyncLocalStorage } = require("async_hooks");
+require("dotenv").config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names (compared in lower case, without "_" and "-") whose values are
+// never written out
+const SENSITIVE_KEYS = new Set([
+  "password",
+  "newpassword",
+  "hashedpassword",
+  "token",
+  "refreshtoken",
+  "accesstoken",
+  "authorization",
+  "cookie",
+  "setcookie",
+  "secret",
+  "tokenhash",
+]);
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+const minLevel =
+  LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] || LEVELS.info;
+
+// Per-request context (the request id) for the lines logged while handling it
+const context = new AsyncLocalStorage();
+
+function isSensitive(key) {
+  return SENSITIVE_KEYS.has(key.toLowerCase().replace(/[_-]/g, ""));
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.status && { status: err.status }),
+    stack: err.stack,
+  };
+}
+
+// Copy of `value` safe to log: errors become plain objects, sensitive keys
+// are masked and cycles or very deep nesting are cut off
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date) return value;
+  if (depth >= MAX_DEPTH || seen.has(value)) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSensitive(key) ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact(fields || {}),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // BigInt and friends; keep the message rather than losing the line
+    line = JSON.stringify({
+      time: entry.time,
+      level,
+      msg,
+      log_error: error.message,
+    });
+  }
+  process.stdout.write(line + "\n");
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Run `fn` with `fields` (e.g. { request_id }) added to every line it logs,
+// including lines logged from its callbacks and promises
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = { logger, runWithContext, redact };
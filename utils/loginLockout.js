@@ -0,0 +1,43 @@
+// Temporary lockout after repeated failed logins. Failures are counted per
+// email address in the rate limit store, whether or not an account exists,
+// so the lockout can't be used to find out which emails are registered.
+// LOGIN_LOCKOUT is "<failures>/<window>" (default 5/15m): that many failures
+// within the window lock the address until the window ends.
+const { parseLimit, hit, peekHits, resetHits } = require("./rateLimit");
+require("dotenv").config();
+
+const LOCKOUT = parseLimit(process.env.LOGIN_LOCKOUT, "5/15m");
+const BUCKET = "login-failures";
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Returns the ms timestamp the lockout ends at, or null when not locked
+async function lockedUntil(email) {
+  if (!LOCKOUT) return null;
+  const entry = await peekHits(BUCKET, normalizeEmail(email));
+  return entry && entry.count >= LOCKOUT.max ? entry.resetAt : null;
+}
+
+// Count a failed login. Returns the lockout end when this failure locked
+// the address, otherwise null.
+async function recordFailedLogin(email) {
+  if (!LOCKOUT) return null;
+  const { remaining, resetAt } = await hit(
+    BUCKET,
+    normalizeEmail(email),
+    LOCKOUT
+  );
+  return remaining === 0 ? resetAt : null;
+}
+
+async function clearFailedLogins(email) {
+  if (!LOCKOUT) return;
+  await resetHits(BUCKET, normalizeEmail(email));
+}
+
+module.exports = {
+  normalizeEmail,
+  lockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,48 @@
+// Pluggable mail transport. MAIL_TRANSPORT picks how emails are delivered:
+//   console - log who the email went to and its subject (default). The body
+//             is left out: it carries verification and reset links.
+//   outbox  - write each email as a JSON file to MAIL_OUTBOX_DIR (./outbox);
+//             use this in development to open the links
+// Other transports (SMTP, an email API, ...) can be added with
+// registerTransport(name, send) without touching the callers.
+const fs = require("fs/promises");
+const path = require("path");
+const { logger } = require("./logger");
+require("dotenv").config();
+
+const transports = {
+  console: async (mail) => {
+    logger.info("Email", { to: mail.to, subject: mail.subject });
+  },
+
+  outbox: async (mail) => {
+    const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeTo = mail.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify(mail, null, 2));
+  },
+};
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+// mail: { to, subject, text }
+async function sendMail(mail) {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "Evangadi Forum <no-reply@evangadi.com>",
+    ...mail,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,174 @@
+// In-process metrics, served in the Prometheus text format by GET /metrics.
+//   const jobs = counter("jobs_total", "Jobs run", ["status"]);
+//   jobs.inc({ status: "ok" });
+// Gauges read their value when scraped: gauge(name, help, () => samples),
+// where samples is a number or a list of { labels, value }.
+const metrics = [];
+
+// Upper bounds, in seconds, of the request latency buckets
+const LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are kept per label combination, keyed by the labels in a fixed order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(
+    labelNames.map((name) => [name, labels[name] ?? ""])
+  );
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        value: 0,
+      };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    samples: () =>
+      [...series.values()].map(({ labels, value }) => ({
+        name,
+        labels,
+        value,
+      })),
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = {
+          labels: pickLabels(labelNames, labels),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    samples: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => ({
+          name: `${name}_bucket`,
+          labels: { ...labels, le: bound },
+          value: counts[i],
+        })),
+        {
+          name: `${name}_bucket`,
+          labels: { ...labels, le: "+Inf" },
+          value: count,
+        },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ]),
+  });
+}
+
+// `collect` returns a number, a list of { labels, value }, or null when there
+// is nothing to report right now
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    samples: () => {
+      const value = collect();
+      if (value === null || value === undefined) return [];
+      const list = typeof value === "number" ? [{ value }] : value;
+      return list.map(({ labels = {}, value }) => ({ name, labels, value }));
+    },
+  });
+}
+
+// Every registered metric in the Prometheus text exposition format
+function render() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { name, labels, value } of metric.samples()) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Metrics recorded by the app itself
+const httpRequests = counter(
+  "http_requests_total",
+  "HTTP requests handled, by route and status",
+  ["method", "route", "status"]
+);
+const httpRequestDuration = histogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests, by route",
+  ["method", "route"]
+);
+const httpErrors = counter(
+  "http_errors_total",
+  "Error responses, by error code (see utils/errors.js)",
+  ["status", "code"]
+);
+
+gauge("process_uptime_seconds", "Seconds since the process started", () =>
+  Math.round(process.uptime())
+);
+gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+  () => process.memoryUsage().rss
+);
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  render,
+  httpRequests,
+  httpRequestDuration,
+  httpErrors,
+};
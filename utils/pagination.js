@@ -0,0 +1,28 @@
+// Shared helpers for paginated list endpoints
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Read ?page= and ?limit= from a query object and clamp them to sane values
+function parsePagination(query = {}, defaultLimit = DEFAULT_LIMIT) {
+  let page = parseInt(query.page, 10);
+  let limit = parseInt(query.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1) page = 1;
+  if (!Number.isInteger(limit) || limit < 1) limit = defaultLimit;
+  if (limit > MAX_LIMIT) limit = MAX_LIMIT;
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Build the pagination block returned alongside list results
+function paginationMeta(total, { page, limit }) {
+  return {
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = { parsePagination, paginationMeta, DEFAULT_LIMIT, MAX_LIMIT };
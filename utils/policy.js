@@ -0,0 +1,50 @@
+// Authorization rules in one place. Controllers ask can(user, action, resource)
+// instead of comparing user ids themselves.
+
+// Ordered from least to most privileged
+const ROLES = ["user", "moderator", "admin"];
+
+function roleRank(role) {
+  const rank = ROLES.indexOf(role);
+  return rank === -1 ? 0 : rank;
+}
+
+// True when the user's role is at least `minRole`
+function hasRole(user, minRole) {
+  return Boolean(user) && roleRank(user.role) >= roleRank(minRole);
+}
+
+function isOwner(user, resource) {
+  return (
+    Boolean(user && resource) &&
+    parseInt(resource.user_id, 10) === parseInt(user.userid, 10)
+  );
+}
+
+// action -> (user, resource) => boolean
+const POLICIES = {
+  // Questions, answers and comments: the author or any moderator
+  "post:update": (user, post) =>
+    isOwner(user, post) || hasRole(user, "moderator"),
+  "post:delete": (user, post) =>
+    isOwner(user, post) || hasRole(user, "moderator"),
+  // Undeleting: moderators, or the author when they deleted it themselves
+  "post:restore": (user, post) =>
+    hasRole(user, "moderator") ||
+    (isOwner(user, post) &&
+      parseInt(post.deletedBy, 10) === parseInt(user.userid, 10)),
+  // Accepting an answer stays with the person who asked the question
+  "question:accept": (user, question) => isOwner(user, question),
+  // Warning or suspending someone needs a higher role than theirs
+  "user:moderate": (user, target) =>
+    hasRole(user, "moderator") && roleRank(user.role) > roleRank(target.role),
+  "user:set-role": (user) => hasRole(user, "admin"),
+};
+
+function can(user, action, resource) {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`Unknown policy action "${action}"`);
+  return policy(user, resource);
+}
+
+module.exports = { ROLES, hasRole, isOwner, can };
@@ -0,0 +1,168 @@
+const { recordAcceptReputation, recomputeReputation } = require("./reputation");
+require("dotenv").config();
+
+// Post types that votes and comments can attach to, keyed by the
+// :post_type route param
+const POST_TYPES = {
+  question: {
+    table: "questionTable",
+    idColumn: "question_id",
+    label: "Question",
+  },
+  answer: { table: "answerTable", idColumn: "answer_id", label: "Answer" },
+};
+
+// Deleted posts can be restored for this many days; the purge job removes
+// them for good once they are older than the retention period
+const RESTORE_WINDOW_DAYS = Number(process.env.RESTORE_WINDOW_DAYS) || 30;
+const DELETED_RETENTION_DAYS =
+  Number(process.env.DELETED_RETENTION_DAYS) || RESTORE_WINDOW_DAYS;
+
+// Returns the post's owner row ({ user_id }) or null when it doesn't exist or
+// is deleted (an answer also counts as deleted when its question is).
+// Pass forUpdate to lock the row inside a transaction.
+async function findPost(connection, postType, postId, forUpdate = false) {
+  const lock = forUpdate ? " FOR UPDATE" : "";
+  const sql =
+    postType === "question"
+      ? `SELECT user_id FROM questionTable
+         WHERE question_id = ? AND deletedAt IS NULL${lock}`
+      : `SELECT a.user_id FROM answerTable a
+         JOIN questionTable q ON q.question_id = a.question_id
+         WHERE a.answer_id = ? AND a.deletedAt IS NULL AND q.deletedAt IS NULL${lock}`;
+
+  const [rows] = await connection.query(sql, [postId]);
+  return rows[0] || null;
+}
+
+// Soft delete a question or an answer. A deleted question hides its answers
+// and comments without touching them, so restoring it brings them back.
+// Run it inside a transaction: deleting an answer may also change reputation.
+async function deletePost(connection, postType, postId, deletedBy) {
+  const { table, idColumn } = POST_TYPES[postType];
+
+  if (postType === "answer") {
+    // Deleting the accepted answer leaves its question unsolved and takes
+    // back the accepted answer bonus; accepting it again after a restore
+    // credits it anew
+    const [result] = await connection.query(
+      "UPDATE questionTable SET accepted_answer_id = NULL WHERE accepted_answer_id = ?",
+      [postId]
+    );
+    if (result.affectedRows) {
+      await recordAcceptReputation(connection, {
+        previousAnswerId: postId,
+        answerId: null,
+      });
+    }
+  }
+
+  await connection.query(
+    `UPDATE ${table} SET deletedAt = NOW(), deletedBy = ?
+     WHERE ${idColumn} = ? AND deletedAt IS NULL`,
+    [deletedBy, postId]
+  );
+}
+
+// Undo a soft delete. Returns false when the post isn't deleted or the
+// restore window has passed.
+async function restorePost(connection, postType, postId) {
+  const { table, idColumn } = POST_TYPES[postType];
+  const [result] = await connection.query(
+    `UPDATE ${table} SET deletedAt = NULL, deletedBy = NULL
+     WHERE ${idColumn} = ? AND deletedAt IS NOT NULL
+       AND deletedAt > DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [postId, RESTORE_WINDOW_DAYS]
+  );
+  return result.affectedRows > 0;
+}
+
+// Permanently remove posts deleted more than `retentionDays` ago, together
+// with their comments, votes, revision history, flags and the reputation they
+// earned. A purged question takes all its answers.
+// Returns { questions, answers } counts.
+async function purgeDeletedPosts(
+  connection,
+  retentionDays = DELETED_RETENTION_DAYS
+) {
+  const [questions] = await connection.query(
+    `SELECT question_id FROM questionTable
+     WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [retentionDays]
+  );
+  const questionIds = questions.map((row) => row.question_id);
+
+  const [answers] = await connection.query(
+    `SELECT answer_id FROM answerTable
+     WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)
+       OR question_id IN (?)`,
+    [retentionDays, questionIds.length ? questionIds : [0]]
+  );
+  const answerIds = answers.map((row) => row.answer_id);
+
+  if (!questionIds.length && !answerIds.length) {
+    return { questions: 0, answers: 0 };
+  }
+
+  const ids = [
+    questionIds.length ? questionIds : [0],
+    answerIds.length ? answerIds : [0],
+  ];
+
+  // Owners of reputation earned on these posts, recomputed once it's gone
+  const [earners] = await connection.query(
+    `SELECT DISTINCT user_id FROM reputationTable
+     WHERE (post_type = 'question' AND post_id IN (?))
+        OR (post_type = 'answer' AND post_id IN (?))`,
+    ids
+  );
+
+  // None of these are tied to posts by foreign keys
+  for (const table of [
+    "commentTable",
+    "voteTable",
+    "revisionTable",
+    "reputationTable",
+  ]) {
+    await connection.query(
+      `DELETE FROM ${table}
+       WHERE (post_type = 'question' AND post_id IN (?))
+          OR (post_type = 'answer' AND post_id IN (?))`,
+      ids
+    );
+  }
+  await connection.query(
+    `DELETE FROM flagTable
+     WHERE (target_type = 'question' AND target_id IN (?))
+        OR (target_type = 'answer' AND target_id IN (?))`,
+    ids
+  );
+
+  for (const { user_id } of earners) {
+    await recomputeReputation(connection, user_id);
+  }
+
+  if (answerIds.length) {
+    await connection.query("DELETE FROM answerTable WHERE answer_id IN (?)", [
+      answerIds,
+    ]);
+  }
+  if (questionIds.length) {
+    await connection.query(
+      "DELETE FROM questionTable WHERE question_id IN (?)",
+      [questionIds]
+    );
+  }
+
+  return { questions: questionIds.length, answers: answerIds.length };
+}
+
+module.exports = {
+  POST_TYPES,
+  RESTORE_WINDOW_DAYS,
+  DELETED_RETENTION_DAYS,
+  findPost,
+  deletePost,
+  restorePost,
+  purgeDeletedPosts,
+};
@@ -0,0 +1,221 @@
+// Fixed-window rate limiting with a pluggable counter store.
+// RATE_LIMIT_STORE picks where counters live:
+//   memory - in this process (default; fine for one instance and for tests)
+//   mysql  - in rateLimitTable, shared by every instance behind a load
+//            balancer
+// Other backends (Redis, ...) can be added with registerStore(name, store).
+// A store implements:
+//   increment(key, windowMs) -> { count, resetAt }  (resetAt in ms)
+//   peek(key) -> { count, resetAt } or null when there is no live window
+//   reset(key)
+const { TooManyRequestsError } = require("./errors");
+const { logger } = require("./logger");
+require("dotenv").config();
+
+// Counters kept in a Map; expired entries are swept once a minute
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+
+    async peek(key) {
+      const entry = counters.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+// Counters in rateLimitTable (see the 014_rate_limits migration)
+function createMysqlStore(connection) {
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      // A finished window starts over at 1. MySQL evaluates the assignments
+      // left to right, so both still see the old reset_at.
+      await connection.query(
+        `INSERT INTO rateLimitTable (bucket, hits, reset_at) VALUES (?, 1, ?)
+        ON DUPLICATE KEY UPDATE
+          hits = IF(reset_at <= ?, 1, hits + 1),
+          reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)`,
+        [key, now + windowMs, now, now]
+      );
+      const [rows] = await connection.query(
+        "SELECT hits, reset_at FROM rateLimitTable WHERE bucket = ?",
+        [key]
+      );
+
+      // Now and then drop counters whose window is long over
+      if (Math.random() < 0.01) {
+        await connection.query(
+          "DELETE FROM rateLimitTable WHERE reset_at < ?",
+          [now]
+        );
+      }
+
+      return { count: rows[0].hits, resetAt: Number(rows[0].reset_at) };
+    },
+
+    async peek(key) {
+      const [rows] = await connection.query(
+        "SELECT hits, reset_at FROM rateLimitTable WHERE bucket = ? AND reset_at > ?",
+        [key, Date.now()]
+      );
+      return rows.length
+        ? { count: rows[0].hits, resetAt: Number(rows[0].reset_at) }
+        : null;
+    },
+
+    async reset(key) {
+      await connection.query("DELETE FROM rateLimitTable WHERE bucket = ?", [
+        key,
+      ]);
+    },
+  };
+}
+
+const stores = {
+  memory: createMemoryStore(),
+};
+
+function registerStore(name, store) {
+  stores[name] = store;
+}
+
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (!stores[name] && name === "mysql") {
+    stores.mysql = createMysqlStore(require("../db/dbConfig"));
+  }
+  if (!stores[name]) {
+    throw new Error(`Unknown rate limit store "${name}"`);
+  }
+  return stores[name];
+}
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// "20/15m" -> { max: 20, windowMs: 900000 }; "off" disables the limit.
+// Falls back to `fallback` (same format) when `value` is empty.
+function parseLimit(value, fallback) {
+  const spec = (value || fallback).trim();
+  if (spec === "off") return null;
+
+  const match = spec.match(/^(\d+)\/(\d+)([smhd])$/);
+  if (!match) {
+    throw new Error(`Invalid rate limit "${spec}" (expected e.g. 20/15m)`);
+  }
+  return {
+    max: Number(match[1]),
+    windowMs: Number(match[2]) * UNITS[match[3]],
+  };
+}
+
+// Count one hit against `key` in the `name` bucket. Returns
+// { limited, limit, remaining, resetAt }.
+async function hit(name, key, { max, windowMs }) {
+  const { count, resetAt } = await getStore().increment(
+    `${name}:${key}`,
+    windowMs
+  );
+  return {
+    limited: count > max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt,
+  };
+}
+
+// Current count for `key` without adding a hit, or null
+async function peekHits(name, key) {
+  return getStore().peek(`${name}:${key}`);
+}
+
+async function resetHits(name, key) {
+  await getStore().reset(`${name}:${key}`);
+}
+
+// Seconds until the window resets, for Retry-After and messages
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+// Express middleware. Options:
+//   name       - bucket name, e.g. "login-ip"
+//   limit      - result of parseLimit(); null turns the limiter off
+//   key(req)   - what to count by (IP, user id, email); null skips the request
+//   message    - error text for 429 (RATE_LIMITED) responses
+// Store failures are logged and the request is let through.
+function rateLimit({
+  name,
+  limit,
+  key = (req) => req.ip,
+  message = "Too many requests, please try again later",
+}) {
+  return async (req, res, next) => {
+    const id = limit && key(req);
+    if (!id) return next();
+
+    let result;
+    try {
+      result = await hit(name, id, limit);
+    } catch (error) {
+      logger.error("Rate limit store failed", { limiter: name, err: error });
+      return next();
+    }
+
+    res.set({
+      "RateLimit-Limit": result.limit,
+      "RateLimit-Remaining": result.remaining,
+      "RateLimit-Reset": retryAfterSeconds(result.resetAt),
+    });
+
+    if (result.limited) {
+      throw new TooManyRequestsError(
+        message,
+        retryAfterSeconds(result.resetAt)
+      );
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createMysqlStore,
+  registerStore,
+  parseLimit,
+  hit,
+  peekHits,
+  resetHits,
+  retryAfterSeconds,
+  rateLimit,
+};
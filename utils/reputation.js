@@ -0,0 +1,108 @@
+// Reputation ledger: every event that changes a user's reputation is stored
+// in reputationTable, and userTable.reputation caches the sum so totals can
+// always be recomputed from the ledger.
+
+const REPUTATION_POINTS = {
+  question_upvote: 5,
+  question_downvote: -2,
+  answer_upvote: 10,
+  answer_downvote: -2,
+  answer_accepted: 15,
+};
+
+// Recalculate one user's cached total from the ledger
+async function recomputeReputation(connection, userId) {
+  await connection.query(
+    `UPDATE userTable
+     SET reputation = (SELECT COALESCE(SUM(points), 0) FROM reputationTable WHERE user_id = ?)
+     WHERE user_id = ?`,
+    [userId, userId]
+  );
+}
+
+// Recalculate every user's cached total from the ledger
+async function recomputeAllReputation(connection) {
+  const [result] = await connection.query(
+    `UPDATE userTable u
+     SET reputation = (SELECT COALESCE(SUM(r.points), 0) FROM reputationTable r WHERE r.user_id = u.user_id)`
+  );
+  return result.affectedRows;
+}
+
+// Replace the ledger entry for a voter's vote on a post. value is 1, -1 or
+// null (vote retracted).
+async function recordVoteReputation(
+  connection,
+  { voterId, ownerId, postType, postId, value }
+) {
+  await connection.query(
+    `DELETE FROM reputationTable
+     WHERE actor_id = ? AND post_type = ? AND post_id = ?
+       AND event_type IN (?, ?)`,
+    [voterId, postType, postId, `${postType}_upvote`, `${postType}_downvote`]
+  );
+
+  if (value) {
+    const eventType = `${postType}_${value > 0 ? "upvote" : "downvote"}`;
+    await connection.query(
+      `INSERT INTO reputationTable (user_id, actor_id, event_type, post_type, post_id, points)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [ownerId, voterId, eventType, postType, postId, REPUTATION_POINTS[eventType]]
+    );
+  }
+
+  await recomputeReputation(connection, ownerId);
+}
+
+// Move the "accepted answer" bonus from the previously accepted answer (if
+// any) to the newly accepted one (if any). Accepting your own answer earns
+// nothing.
+async function recordAcceptReputation(
+  connection,
+  { actorId, previousAnswerId, answerId }
+) {
+  const affected = new Set();
+
+  if (previousAnswerId) {
+    const [previous] = await connection.query(
+      `SELECT user_id FROM reputationTable
+       WHERE event_type = 'answer_accepted' AND post_type = 'answer' AND post_id = ?`,
+      [previousAnswerId]
+    );
+    previous.forEach((row) => affected.add(row.user_id));
+
+    await connection.query(
+      `DELETE FROM reputationTable
+       WHERE event_type = 'answer_accepted' AND post_type = 'answer' AND post_id = ?`,
+      [previousAnswerId]
+    );
+  }
+
+  if (answerId) {
+    const [answer] = await connection.query(
+      "SELECT user_id FROM answerTable WHERE answer_id = ?",
+      [answerId]
+    );
+
+    if (answer.length && answer[0].user_id !== actorId) {
+      await connection.query(
+        `INSERT INTO reputationTable (user_id, actor_id, event_type, post_type, post_id, points)
+         VALUES (?, ?, 'answer_accepted', 'answer', ?, ?)`,
+        [answer[0].user_id, actorId, answerId, REPUTATION_POINTS.answer_accepted]
+      );
+      affected.add(answer[0].user_id);
+    }
+  }
+
+  for (const userId of affected) {
+    await recomputeReputation(connection, userId);
+  }
+}
+
+module.exports = {
+  REPUTATION_POINTS,
+  recomputeReputation,
+  recomputeAllReputation,
+  recordVoteReputation,
+  recordAcceptReputation,
+};
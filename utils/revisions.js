@@ -0,0 +1,177 @@
+// Revision history for questions and answers. Posts created before revisions
+// existed get their original content stored as revision 1 the first time
+// they are edited, so the history always starts with the post as written.
+const { POST_TYPES } = require("./posts");
+const { QUESTION_TAGS_SQL, splitTags, saveQuestionTags } = require("./tags");
+const { toPlainText, diffWords, diffTags } = require("./diff");
+
+// Select expression returning when a post was last edited, or NULL if it
+// never was (alias: edited_at). `idExpr` is the post id column of the outer
+// query, e.g. "q.question_id".
+function editedAtSql(postType, idExpr) {
+  return `(SELECT MAX(r.createdAt) FROM revisionTable r
+    WHERE r.post_type = '${postType}' AND r.post_id = ${idExpr}
+      AND r.revision_number > 1) AS edited_at`;
+}
+
+// Current content of a post as { user_id, createdAt, title, body, tags }
+// (title and tags are null for answers)
+async function readContent(connection, postType, postId) {
+  if (postType === "question") {
+    const [rows] = await connection.query(
+      `SELECT q.user_id, q.createdAt, q.title,
+        q.question_description AS body, ${QUESTION_TAGS_SQL}
+      FROM questionTable q WHERE q.question_id = ?`,
+      [postId]
+    );
+    return rows[0] ? { ...rows[0], tags: rows[0].tags || "" } : null;
+  }
+
+  const [rows] = await connection.query(
+    `SELECT user_id, createdAt, NULL AS title, answer AS body, NULL AS tags
+    FROM answerTable WHERE answer_id = ?`,
+    [postId]
+  );
+  return rows[0] || null;
+}
+
+async function insertRevision(connection, postType, postId, revision) {
+  await connection.query(
+    `INSERT INTO revisionTable
+      (post_type, post_id, revision_number, title, body, tags, editor_id, summary, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [
+      postType,
+      postId,
+      revision.number,
+      revision.title,
+      revision.body,
+      revision.tags,
+      revision.editorId,
+      revision.summary ? revision.summary.trim() || null : null,
+      revision.createdAt || null,
+    ]
+  );
+}
+
+// Store the post's current content as revision 1 if it has no history yet.
+// Call before changing the post, inside the same transaction.
+async function ensureBaseline(connection, postType, postId) {
+  const [existing] = await connection.query(
+    "SELECT 1 FROM revisionTable WHERE post_type = ? AND post_id = ? LIMIT 1",
+    [postType, postId]
+  );
+  if (existing.length) return;
+
+  const content = await readContent(connection, postType, postId);
+  if (!content) return;
+
+  await insertRevision(connection, postType, postId, {
+    ...content,
+    number: 1,
+    editorId: content.user_id,
+  });
+}
+
+// Store the post's current content as a new revision. Call after changing
+// the post; returns the new revision number, or null when nothing changed.
+async function recordRevision(connection, postType, postId, editorId, summary) {
+  const content = await readContent(connection, postType, postId);
+  const [latest] = await connection.query(
+    `SELECT revision_number, title, body, tags FROM revisionTable
+    WHERE post_type = ? AND post_id = ?
+    ORDER BY revision_number DESC LIMIT 1`,
+    [postType, postId]
+  );
+
+  const previous = latest[0];
+  if (
+    previous &&
+    previous.title === content.title &&
+    previous.body === content.body &&
+    previous.tags === content.tags
+  ) {
+    return null;
+  }
+
+  const number = previous ? previous.revision_number + 1 : 1;
+  await insertRevision(connection, postType, postId, {
+    ...content,
+    number,
+    editorId,
+    summary,
+    createdAt: null,
+  });
+  return number;
+}
+
+// Write a stored revision's content back to the post
+async function applyRevision(connection, postType, postId, revision) {
+  const { table, idColumn } = POST_TYPES[postType];
+
+  if (postType === "question") {
+    await connection.query(
+      `UPDATE ${table} SET title = ?, question_description = ? WHERE ${idColumn} = ?`,
+      [revision.title, revision.body, postId]
+    );
+    await saveQuestionTags(connection, postId, splitTags(revision.tags));
+  } else {
+    await connection.query(
+      `UPDATE ${table} SET answer = ? WHERE ${idColumn} = ?`,
+      [revision.body, postId]
+    );
+  }
+}
+
+// What changed from one revision to the next
+function revisionChanges(postType, previous, revision) {
+  const before = previous || { title: "", body: "", tags: "" };
+  const text = postType === "question" ? toPlainText : (value) => value || "";
+
+  return {
+    title:
+      postType === "question" ? diffWords(before.title, revision.title) : null,
+    body: diffWords(text(before.body), text(revision.body)),
+    tags:
+      postType === "question"
+        ? diffTags(splitTags(before.tags), splitTags(revision.tags))
+        : null,
+  };
+}
+
+// One page of a post's revisions, newest first, each with its changes
+// relative to the revision before it. Only the page is diffed; one extra,
+// older row is read for the diff of its last revision.
+// Returns { revisions, total }.
+async function listRevisions(connection, postType, postId, { limit, offset }) {
+  const [[{ total }]] = await connection.query(
+    "SELECT COUNT(*) AS total FROM revisionTable WHERE post_type = ? AND post_id = ?",
+    [postType, postId]
+  );
+
+  const [rows] = await connection.query(
+    `SELECT r.revision_id, r.revision_number, r.title, r.body, r.tags,
+      r.editor_id, u.user_name AS editor_name, r.summary, r.createdAt
+    FROM revisionTable r
+    JOIN userTable u ON u.user_id = r.editor_id
+    WHERE r.post_type = ? AND r.post_id = ?
+    ORDER BY r.revision_number DESC
+    LIMIT ? OFFSET ?`,
+    [postType, postId, limit + 1, offset]
+  );
+
+  const revisions = rows.slice(0, limit).map((revision, index) => ({
+    ...revision,
+    tags: postType === "question" ? splitTags(revision.tags) : null,
+    changes: revisionChanges(postType, rows[index + 1], revision),
+  }));
+  return { revisions, total };
+}
+
+module.exports = {
+  editedAtSql,
+  ensureBaseline,
+  recordRevision,
+  applyRevision,
+  listRevisions,
+};
@@ -0,0 +1,225 @@
+// Helpers for the full-text search endpoint: query parsing, MySQL boolean
+// query building and highlighted snippets
+
+// Words InnoDB leaves out of its FULLTEXT index by default. Requiring one of
+// them with "+" would make every search return nothing, so they are skipped.
+const STOPWORDS = new Set([
+  "a", "about", "an", "are", "as", "at", "be", "by", "com", "de", "en",
+  "for", "from", "how", "i", "in", "is", "it", "la", "of", "on", "or",
+  "that", "the", "this", "to", "was", "what", "when", "where", "who",
+  "will", "with", "und", "www",
+]);
+
+// innodb_ft_min_token_size defaults to 3
+const MIN_TERM_LENGTH = 3;
+const SNIPPET_LENGTH = 200;
+
+const OPERATORS = ["tag", "user"];
+
+// Characters with a meaning in MySQL boolean mode that never belong to a
+// search term. "+" and "-" are left alone inside words (c++, x-ray).
+const BOOLEAN_SYNTAX = /[<>()~*"@]/g;
+
+// A term made only of letters, digits and underscores, which the FULLTEXT
+// index can match as a word
+const PLAIN_WORD = /^[\p{L}\p{N}_]+$/u;
+
+function cleanPhrase(phrase) {
+  return phrase.replace(BOOLEAN_SYNTAX, " ").replace(/\s+/g, " ").trim();
+}
+
+// Split a bare token into terms: boolean syntax separates them and a leading
+// "+" (every term is required anyway) is dropped
+function cleanWords(token) {
+  return token
+    .replace(BOOLEAN_SYNTAX, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/^\++/, ""))
+    .filter((word) => /[\p{L}\p{N}]/u.test(word));
+}
+
+// Split a raw search string into free terms, quoted phrases, excluded words
+// or phrases ("-word", -"some phrase") and operators
+// e.g. `react "use effect" -class tag:hooks user:abdi`
+// Terms that contain symbols (c++, c#, node.js) are kept whole in `literals`:
+// the FULLTEXT index splits them at the symbols, so they are matched as text.
+function parseSearchQuery(raw = "") {
+  const parsed = {
+    terms: [],
+    literals: [],
+    phrases: [],
+    excluded: [],
+    tags: [],
+    users: [],
+  };
+  const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|(-?)"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(String(raw))) !== null) {
+    const operator = (match[1] || match[3] || "").toLowerCase();
+    const operatorValue = match[2] ?? match[4];
+
+    if (OPERATORS.includes(operator)) {
+      if (operatorValue && operatorValue.trim()) {
+        parsed[`${operator}s`].push(operatorValue.trim());
+      }
+    } else if (match[6] !== undefined) {
+      const phrase = cleanPhrase(match[6]);
+      if (phrase) parsed[match[5] ? "excluded" : "phrases"].push(phrase);
+    } else if (/^-[^-]/.test(match[0])) {
+      parsed.excluded.push(...cleanWords(match[0].slice(1)));
+    } else {
+      // Unknown "foo:bar" tokens are searched as plain text
+      for (const word of cleanWords(match[0])) {
+        parsed[PLAIN_WORD.test(word) ? "terms" : "literals"].push(word);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+// Terms the FULLTEXT index can actually match
+function searchableTerms(terms) {
+  return terms
+    .map((term) => term.toLowerCase())
+    .filter((word) => word.length >= MIN_TERM_LENGTH && !STOPWORDS.has(word));
+}
+
+// Build the AGAINST(... IN BOOLEAN MODE) string; every searchable term and
+// phrase is required and terms also match as prefixes. Returns "" when
+// nothing is searchable. Exclusions are separate conditions (see
+// exclusionConditions) so they also apply to searches without full-text
+// terms, and to questions found through one of their answers.
+function toBooleanQuery({ terms, phrases }) {
+  const parts = [];
+
+  for (const word of searchableTerms(terms)) {
+    parts.push(`+${word}*`);
+  }
+
+  for (const phrase of phrases) {
+    parts.push(`+"${phrase}"`);
+  }
+
+  return parts.join(" ");
+}
+
+// LIKE pattern matching a literal term anywhere in a column
+function likePattern(literal) {
+  return `%${literal.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+// WHERE conditions (on questionTable q) ruling out questions whose title or
+// description has an excluded word or phrase. Words the FULLTEXT index can
+// match are left out with NOT MATCH, words with symbols (-c++) with NOT LIKE;
+// words too short or too common to be indexed are ignored.
+// Returns { conditions, params }, to be ANDed onto the rest of the search.
+function exclusionConditions({ excluded = [] }) {
+  const conditions = [];
+  const params = [];
+  const indexed = [];
+
+  for (const word of excluded) {
+    if (/\s/.test(word)) {
+      indexed.push(`"${word}"`);
+    } else if (PLAIN_WORD.test(word)) {
+      indexed.push(...searchableTerms([word]));
+    } else {
+      conditions.push(
+        "q.title NOT LIKE ? AND q.question_description NOT LIKE ?"
+      );
+      params.push(likePattern(word), likePattern(word));
+    }
+  }
+
+  if (indexed.length) {
+    // Any one of them matching rules the question out
+    conditions.unshift(
+      "NOT MATCH(q.title, q.question_description) AGAINST (? IN BOOLEAN MODE)"
+    );
+    params.unshift(indexed.join(" "));
+  }
+
+  return { conditions, params };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Question descriptions are stored as HTML from the rich text editor
+function stripHtml(html = "") {
+  return String(html)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Regex matching the start of any searched word or phrase, mirroring the
+// prefix matching used in the boolean query
+function highlightPattern({ terms, literals = [], phrases }) {
+  const words = [...phrases, ...literals, ...searchableTerms(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  return words.length ? new RegExp(`\\b(${words.join("|")})`, "gi") : null;
+}
+
+// Escape text and wrap every match in <mark>
+function highlight(text, pattern) {
+  if (!pattern) return escapeHtml(text);
+
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      // split() with a capture group puts the matches at odd indexes
+      index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+}
+
+// Cut a window of plain text around the first match and highlight it
+function makeSnippet(html, pattern, length = SNIPPET_LENGTH) {
+  const text = stripHtml(html);
+  let start = 0;
+
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    pattern.lastIndex = 0;
+    if (match) start = Math.max(0, match.index - Math.floor(length / 4));
+  }
+
+  const end = Math.min(text.length, start + length);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  return prefix + highlight(text.slice(start, end), pattern) + suffix;
+}
+
+module.exports = {
+  parseSearchQuery,
+  toBooleanQuery,
+  likePattern,
+  exclusionConditions,
+  highlightPattern,
+  highlight,
+  makeSnippet,
+  stripHtml,
+};
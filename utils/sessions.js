@@ -0,0 +1,155 @@
+// Login sessions: a short-lived JWT access token carries the session id
+// (sid) and a long-lived refresh token, stored hashed in sessionTable, is
+// exchanged (and rotated) for new access tokens. Revoking the session row
+// invalidates both.
+const jwt = require("jsonwebtoken");
+const { generateToken, hashToken } = require("./tokens");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How long the refresh token just rotated out keeps working, so two tabs
+// refreshing at the same time don't log each other out
+const REFRESH_GRACE_SECONDS = Number(process.env.REFRESH_GRACE_SECONDS) || 30;
+
+function signAccessToken({ userid, username, role, sid }) {
+  return jwt.sign({ userid, username, role, sid }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function accessTokenFor(session) {
+  return signAccessToken({
+    userid: session.user_id,
+    username: session.user_name,
+    role: session.role,
+    sid: session.session_id,
+  });
+}
+
+// Start a new session for a user who just logged in
+async function createSession(
+  connection,
+  { userid, username, role, userAgent }
+) {
+  const { token, hash } = generateToken();
+
+  const [result] = await connection.query(
+    `INSERT INTO sessionTable (user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userid, hash, (userAgent || "").slice(0, 255), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    token: signAccessToken({ userid, username, role, sid: result.insertId }),
+    refreshToken: token,
+  };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// The token rotated out last is still accepted for REFRESH_GRACE_SECONDS and
+// then only gets an access token: the refresh token that replaced it went to
+// another tab, which shares storage with this one. Presenting it later means
+// it was copied, so the whole session is revoked. Returns null when the token
+// cannot be used.
+async function rotateSession(connection, refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  await connection.beginTransaction();
+  try {
+    const [sessions] = await connection.query(
+      `SELECT s.session_id, s.user_id, u.user_name, u.role,
+        s.revoked_at IS NULL AND s.expires_at > NOW() AS active
+      FROM sessionTable s
+      INNER JOIN userTable u ON u.user_id = s.user_id
+      WHERE s.refresh_token_hash = ?
+      FOR UPDATE`,
+      [hash]
+    );
+
+    if (sessions.length === 0) {
+      const [rotated] = await connection.query(
+        `SELECT s.session_id, s.user_id, u.user_name, u.role
+        FROM sessionTable s
+        INNER JOIN userTable u ON u.user_id = s.user_id
+        WHERE s.previous_token_hash = ?
+          AND s.revoked_at IS NULL AND s.expires_at > NOW()
+          AND s.last_used_at > NOW() - INTERVAL ? SECOND
+        FOR UPDATE`,
+        [hash, REFRESH_GRACE_SECONDS]
+      );
+      if (rotated.length > 0) {
+        await connection.commit();
+        return { token: accessTokenFor(rotated[0]) };
+      }
+
+      await connection.query(
+        `UPDATE sessionTable SET revoked_at = NOW()
+         WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+        [hash]
+      );
+      await connection.commit();
+      return null;
+    }
+
+    const session = sessions[0];
+    if (!session.active) {
+      await connection.rollback();
+      return null;
+    }
+
+    const { token, hash: newHash } = generateToken();
+    await connection.query(
+      `UPDATE sessionTable
+       SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = NOW()
+       WHERE session_id = ?`,
+      [newHash, hash, session.session_id]
+    );
+    await connection.commit();
+
+    return { token: accessTokenFor(session), refreshToken: token };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+// Revoke the session a refresh token belongs to
+async function revokeSession(connection, refreshToken) {
+  const [result] = await connection.query(
+    "UPDATE sessionTable SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL",
+    [hashToken(refreshToken)]
+  );
+  return result.affectedRows > 0;
+}
+
+// Revoke every session of a user ("log out everywhere", password reset)
+async function revokeAllSessions(connection, userId) {
+  const [result] = await connection.query(
+    "UPDATE sessionTable SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+// Used by authMiddleware on every request. Returns the user's current role
+// for an active session, or null when the session was revoked or expired, so
+// role changes apply without waiting for a new token.
+async function findActiveSession(connection, { sid, userid }) {
+  const [rows] = await connection.query(
+    `SELECT u.role FROM sessionTable s
+     INNER JOIN userTable u ON u.user_id = s.user_id
+     WHERE s.session_id = ? AND s.user_id = ?
+       AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sid, userid]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+};
@@ -0,0 +1,72 @@
+// Tag normalization and question <-> tag persistence
+
+// normalizeTag is shared with the validation rules, which count tags the
+// way they are saved
+const { MAX_TAG_LENGTH, normalizeTag } = require("../shared/tags.mjs");
+
+// Accepts an array or a comma separated string and returns unique,
+// normalized tag names (empty ones are dropped)
+function parseTags(input) {
+  if (input === undefined || input === null) return [];
+
+  const list = Array.isArray(input) ? input : String(input).split(",");
+  const tags = [];
+
+  for (const raw of list) {
+    const tag = normalizeTag(raw);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+
+  return tags;
+}
+
+// Select expression returning a question's tags as "a,b,c" (alias: tags)
+const QUESTION_TAGS_SQL = `(SELECT GROUP_CONCAT(t.name ORDER BY t.name SEPARATOR ',')
+  FROM questionTagTable qt
+  JOIN tagTable t ON t.tag_id = qt.tag_id
+  WHERE qt.question_id = q.question_id) AS tags`;
+
+// WHERE condition matching questions that carry a given tag name
+const HAS_TAG_SQL = `EXISTS (SELECT 1
+  FROM questionTagTable qt
+  JOIN tagTable t ON t.tag_id = qt.tag_id
+  WHERE qt.question_id = q.question_id AND t.name = ?)`;
+
+// Turn the GROUP_CONCAT result into an array
+function splitTags(value) {
+  return value ? value.split(",") : [];
+}
+
+// Replace the tags of a question. Runs on the caller's connection so it can
+// take part in the caller's transaction.
+async function saveQuestionTags(connection, questionId, tags) {
+  await connection.query("DELETE FROM questionTagTable WHERE question_id = ?", [
+    questionId,
+  ]);
+
+  if (tags.length === 0) return;
+
+  await connection.query("INSERT IGNORE INTO tagTable (name) VALUES ?", [
+    tags.map((tag) => [tag]),
+  ]);
+
+  const [rows] = await connection.query(
+    "SELECT tag_id FROM tagTable WHERE name IN (?)",
+    [tags]
+  );
+
+  await connection.query(
+    "INSERT INTO questionTagTable (question_id, tag_id) VALUES ?",
+    [rows.map((row) => [questionId, row.tag_id])]
+  );
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  parseTags,
+  splitTags,
+  saveQuestionTags,
+  QUESTION_TAGS_SQL,
+  HAS_TAG_SQL,
+};
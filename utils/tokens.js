@@ -0,0 +1,15 @@
+// One-time tokens (password reset, ...). Only a SHA-256 hash of the token is
+// stored, so a leaked database row cannot be used to take over an account.
+const crypto = require("crypto");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Returns the raw token (sent to the user) and its hash (stored)
+function generateToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, hash: hashToken(token) };
+}
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,10 @@
+// Declarative request validation with the rules in shared/validation.json.
+// The checks themselves are in shared/validator.mjs (see there for the rule
+// format), which the client forms use too, so both reject the same input.
+const definitions = require("../shared/validation.json");
+const { createValidator } = require("../shared/validator.mjs");
+
+const { schemas, fieldError, validateRequest, trimFields } =
+  createValidator(definitions);
+
+module.exports = { schemas, fieldError, validateRequest, trimFields };